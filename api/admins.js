@@ -0,0 +1,169 @@
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/admins.js
+// Debug warning: Admin account management (roles with the manage_admins permission)
+//   GET                                  list admin_users, { items, total }
+//   POST { username, role, password? }   create an admin; without a password a temporary one is generated and returned once
+// Role / active changes live in /api/admins/[id], own password changes in /api/admins/password
+
+import { createClient } from '@supabase/supabase-js';
+import { authenticateRequest } from './utils/adminAuth.js';
+import { can, isKnownRole } from './utils/permissions.js';
+import { hashPassword, validateNewPassword, generateTemporaryPassword } from './utils/password.js';
+import { logAudit } from './utils/audit.js';
+
+// Never select the password column into a response
+const ADMIN_COLUMNS = 'id, username, role, is_active, totp_enabled';
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+
+// Admin client with service role key (bypasses RLS)
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    )
+  : null;
+
+// GET: Every admin account, active ones first
+async function handleList(req, res) {
+  const { data: admins, error } = await supabaseAdmin
+    .from('admin_users')
+    .select(ADMIN_COLUMNS)
+    .order('is_active', { ascending: false })
+    .order('username', { ascending: true });
+
+  if (error) {
+    console.error('[Backend] ADMINS Supabase error:', error);
+    return res.status(500).json({ error: 'Failed to fetch admins', details: error.message });
+  }
+
+  return res.status(200).json({ items: admins || [], total: (admins || []).length });
+}
+
+// POST: Create (invite) an admin
+async function handleCreate(req, res, admin) {
+  const { username, role, password } = req.body || {};
+  const fields = {};
+
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    fields.username = 'Must be 3-32 characters: letters, digits, _ . -';
+  }
+
+  if (!isKnownRole(role)) {
+    fields.role = 'Must be an existing role';
+  }
+
+  const invited = password === undefined || password === null || password === '';
+  const passwordError = invited ? null : validateNewPassword(password);
+  if (passwordError) {
+    fields.password = passwordError;
+  }
+
+  if (Object.keys(fields).length > 0) {
+    return res.status(400).json({ error: 'Invalid admin', fields });
+  }
+
+  // Usernames are compared case-insensitively at login by humans, so keep them unique that way
+  const { data: existing, error: lookupError } = await supabaseAdmin
+    .from('admin_users')
+    .select('id')
+    .ilike('username', username.replace(/[\\%_]/g, '\\$&'))
+    .limit(1);
+
+  if (lookupError) {
+    console.error('[Backend] ADMINS Supabase error:', lookupError);
+    return res.status(500).json({ error: 'Failed to create admin', details: lookupError.message });
+  }
+
+  if (existing && existing.length > 0) {
+    return res.status(409).json({ error: 'Username already taken' });
+  }
+
+  const initialPassword = invited ? generateTemporaryPassword() : password;
+
+  const { data: created, error } = await supabaseAdmin
+    .from('admin_users')
+    .insert({
+      username,
+      role,
+      is_active: true,
+      password: await hashPassword(initialPassword)
+    })
+    .select(ADMIN_COLUMNS)
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Username already taken' });
+    }
+    console.error('[Backend] ADMINS Supabase error:', error);
+    return res.status(500).json({ error: 'Failed to create admin', details: error.message });
+  }
+
+  await logAudit(admin.username, 'ADMIN_CREATE', null, null, {
+    admin_id: created.id,
+    admin_username: created.username,
+    role: created.role,
+    invited
+  }, admin.role);
+
+  console.log('[Backend] ADMINS Created', created.username, 'as', created.role, 'by', admin.username);
+
+  // Debug warning: The temporary password is only ever returned here
+  return res.status(201).json(invited ? { ...created, temporary_password: initialPassword } : created);
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Username, X-Admin-Password, X-Admin-OTP');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, POST, OPTIONS');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!supabaseAdmin) {
+    console.error('[Backend] SUPABASE_SERVICE_ROLE_KEY not configured');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    // Verify bearer token or admin credentials and get role
+    const { admin, reason } = await authenticateRequest(req);
+
+    if (reason === 'missing_credentials') {
+      return res.status(401).json({ error: 'Missing credentials' });
+    }
+
+    if (!admin) {
+      console.log('[Backend] ADMINS Auth failed');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (!can(admin.role, 'manage_admins')) {
+      console.log('[Backend] ADMINS Role not allowed - blocked:', admin.role);
+      return res.status(403).json({ error: 'Insufficient permissions to manage admins.' });
+    }
+
+    if (req.method === 'GET') {
+      return await handleList(req, res);
+    }
+
+    return await handleCreate(req, res, admin);
+  } catch (err) {
+    console.error('[Backend] ADMINS Unexpected error:', err);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
+  }
+}
+
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/admins.js
@@ -0,0 +1,195 @@
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/admins/[id].js
+// Debug warning: Change one admin account (roles with the manage_admins permission)
+//   PATCH { role?, is_active? }   re-role, deactivate or reactivate; sessions are revoked so the change sticks
+// The last active full admin (role 'admin', or no role) can never be demoted or deactivated
+
+import { createClient } from '@supabase/supabase-js';
+import { authenticateRequest, revokeAdminSessions } from '../utils/adminAuth.js';
+import { can, isKnownRole } from '../utils/permissions.js';
+import { logAudit } from '../utils/audit.js';
+
+const ADMIN_COLUMNS = 'id, username, role, is_active, totp_enabled';
+
+// Admin client with service role key (bypasses RLS)
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    )
+  : null;
+
+// Rows without a role predate roles and are full admins
+function isFullAdmin(row) {
+  return !row.role || row.role === 'admin';
+}
+
+// Validate the PATCH body into the columns to write, or return field errors
+function parseAdminUpdate(body) {
+  const errors = {};
+  const values = {};
+
+  if (body.role !== undefined) {
+    if (!isKnownRole(body.role)) {
+      errors.role = 'Must be an existing role';
+    } else {
+      values.role = body.role;
+    }
+  }
+
+  if (body.is_active !== undefined) {
+    if (typeof body.is_active !== 'boolean') {
+      errors.is_active = 'Must be true or false';
+    } else {
+      values.is_active = body.is_active;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) return { values: null, errors };
+  return { values, errors: null };
+}
+
+// Other active full admins that would remain after this change
+async function countOtherFullAdmins(adminId) {
+  const { count, error } = await supabaseAdmin
+    .from('admin_users')
+    .select('id', { count: 'exact', head: true })
+    .eq('is_active', true)
+    .or('role.eq.admin,role.is.null')
+    .neq('id', adminId);
+
+  return { count: count ?? 0, error };
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'PATCH, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Username, X-Admin-Password, X-Admin-OTP');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'PATCH') {
+    res.setHeader('Allow', 'PATCH, OPTIONS');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!supabaseAdmin) {
+    console.error('[Backend] SUPABASE_SERVICE_ROLE_KEY not configured');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  const adminId = parseInt(req.query.id);
+  if (isNaN(adminId)) {
+    return res.status(400).json({ error: 'Invalid admin ID' });
+  }
+
+  try {
+    // Verify bearer token or admin credentials and get role
+    const { admin, reason } = await authenticateRequest(req);
+
+    if (reason === 'missing_credentials') {
+      return res.status(401).json({ error: 'Missing credentials' });
+    }
+
+    if (!admin) {
+      console.log('[Backend] ADMINS Auth failed');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (!can(admin.role, 'manage_admins')) {
+      console.log('[Backend] ADMINS Role not allowed - blocked:', admin.role);
+      return res.status(403).json({ error: 'Insufficient permissions to manage admins.' });
+    }
+
+    const { values, errors } = parseAdminUpdate(req.body || {});
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid admin update', fields: errors });
+    }
+
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update (expected role and/or is_active)' });
+    }
+
+    const { data: target, error: fetchError } = await supabaseAdmin
+      .from('admin_users')
+      .select(ADMIN_COLUMNS)
+      .eq('id', adminId)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('[Backend] ADMINS Supabase error:', fetchError);
+      return res.status(500).json({ error: 'Failed to fetch admin', details: fetchError.message });
+    }
+
+    if (!target) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    const changes = {};
+    for (const [field, value] of Object.entries(values)) {
+      if (target[field] !== value) changes[field] = { from: target[field], to: value };
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(200).json(target);
+    }
+
+    const after = { ...target, ...values };
+
+    // Debug warning: Two admins demoting each other at the same moment can both pass this check
+    if (target.is_active && isFullAdmin(target) && !(after.is_active && isFullAdmin(after))) {
+      const { count, error: countError } = await countOtherFullAdmins(target.id);
+      if (countError) {
+        console.error('[Backend] ADMINS Supabase error:', countError);
+        return res.status(500).json({ error: 'Failed to update admin', details: countError.message });
+      }
+
+      if (count === 0) {
+        console.log('[Backend] ADMINS Last full admin guard - blocked:', target.username, 'by', admin.username);
+        return res.status(409).json({ error: 'Cannot demote or deactivate the last active full admin' });
+      }
+    }
+
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from('admin_users')
+      .update(values)
+      .eq('id', target.id)
+      .select(ADMIN_COLUMNS)
+      .single();
+
+    if (updateError) {
+      console.error('[Backend] ADMINS Supabase error:', updateError);
+      return res.status(500).json({ error: 'Failed to update admin', details: updateError.message });
+    }
+
+    // Access tokens carry the role, so make the admin sign in again (tokens already issued expire within 15 minutes)
+    const revoked = await revokeAdminSessions(target.id);
+
+    const actionType = 'is_active' in changes
+      ? (updated.is_active ? 'ADMIN_REACTIVATE' : 'ADMIN_DEACTIVATE')
+      : 'ADMIN_ROLE_CHANGE';
+
+    await logAudit(admin.username, actionType, null, null, {
+      admin_id: updated.id,
+      admin_username: updated.username,
+      ...changes,
+      sessions_revoked: revoked
+    }, admin.role);
+
+    console.log('[Backend] ADMINS', actionType, updated.username, 'by', admin.username);
+    return res.status(200).json(updated);
+  } catch (err) {
+    console.error('[Backend] ADMINS Unexpected error:', err);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
+  }
+}
+
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/admins/[id].js
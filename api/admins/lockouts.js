@@ -0,0 +1,158 @@
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/admins/lockouts.js
+// Debug warning: Failed-login lockouts (roles with the manage_admins permission)
+//   GET ?locked=true&limit&offset   accounts with failed logins, most recent first, { items, total, limit, offset }
+//   GET ?username=alice             that account's lockout plus its last 50 failed attempts
+//   DELETE { username }             reset the failure count and lift the lockout
+
+import { createClient } from '@supabase/supabase-js';
+import { authenticateRequest } from '../utils/adminAuth.js';
+import { can } from '../utils/permissions.js';
+import { clearLoginFailures } from '../utils/loginLockout.js';
+import { logAudit } from '../utils/audit.js';
+
+const LOCKOUT_COLUMNS = 'username, failed_count, locked_until, last_failed_at, last_ip';
+const RECENT_ATTEMPTS = 50;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Admin client with service role key (bypasses RLS)
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    )
+  : null;
+
+// GET ?username: One account with its recent failed attempts
+async function handleDetail(req, res, username) {
+  const [lockoutResult, attemptsResult] = await Promise.all([
+    supabaseAdmin.from('admin_lockouts').select(LOCKOUT_COLUMNS).eq('username', username).maybeSingle(),
+    supabaseAdmin
+      .from('login_attempts')
+      .select('ip, reason, path, created_at')
+      .eq('username', username)
+      .order('created_at', { ascending: false })
+      .limit(RECENT_ATTEMPTS)
+  ]);
+
+  const error = lockoutResult.error || attemptsResult.error;
+  if (error) {
+    console.error('[Backend] LOCKOUTS Supabase error:', error);
+    return res.status(500).json({ error: 'Failed to fetch lockout', details: error.message });
+  }
+
+  const lockout = lockoutResult.data;
+  return res.status(200).json({
+    username,
+    failed_count: lockout ? lockout.failed_count : 0,
+    locked_until: lockout ? lockout.locked_until : null,
+    locked: Boolean(lockout && lockout.locked_until && Date.parse(lockout.locked_until) > Date.now()),
+    last_failed_at: lockout ? lockout.last_failed_at : null,
+    last_ip: lockout ? lockout.last_ip : null,
+    attempts: attemptsResult.data || []
+  });
+}
+
+// GET: Accounts with failed logins
+async function handleList(req, res) {
+  const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  let query = supabaseAdmin
+    .from('admin_lockouts')
+    .select(LOCKOUT_COLUMNS, { count: 'exact' })
+    .order('last_failed_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (req.query.locked === 'true') {
+    query = query.gt('locked_until', new Date().toISOString());
+  }
+
+  const { data: lockouts, error, count } = await query;
+
+  if (error) {
+    console.error('[Backend] LOCKOUTS Supabase error:', error);
+    return res.status(500).json({ error: 'Failed to fetch lockouts', details: error.message });
+  }
+
+  const now = Date.now();
+  const items = (lockouts || []).map((lockout) => ({
+    ...lockout,
+    locked: Boolean(lockout.locked_until && Date.parse(lockout.locked_until) > now)
+  }));
+
+  return res.status(200).json({ items, total: count ?? 0, limit, offset });
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Username, X-Admin-Password, X-Admin-OTP');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (!['GET', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, DELETE, OPTIONS');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!supabaseAdmin) {
+    console.error('[Backend] SUPABASE_SERVICE_ROLE_KEY not configured');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    // Verify bearer token or admin credentials and get role
+    const { admin, reason } = await authenticateRequest(req);
+
+    if (reason === 'missing_credentials') {
+      return res.status(401).json({ error: 'Missing credentials' });
+    }
+
+    if (!admin) {
+      console.log('[Backend] LOCKOUTS Auth failed');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (!can(admin.role, 'manage_admins')) {
+      console.log('[Backend] LOCKOUTS Role not allowed - blocked:', admin.role);
+      return res.status(403).json({ error: 'Insufficient permissions to manage lockouts.' });
+    }
+
+    if (req.method === 'GET') {
+      if (req.query.username) {
+        return await handleDetail(req, res, String(req.query.username));
+      }
+      return await handleList(req, res);
+    }
+
+    const username = req.body?.username;
+    if (!username || typeof username !== 'string') {
+      return res.status(400).json({ error: 'Username is required' });
+    }
+
+    const cleared = await clearLoginFailures(username);
+    if (!cleared) {
+      return res.status(404).json({ error: 'No failed logins recorded for this username' });
+    }
+
+    await logAudit(admin.username, 'LOCKOUT_CLEAR', null, null, { admin_username: username }, admin.role);
+
+    console.log('[Backend] LOCKOUTS Cleared', username, 'by', admin.username);
+    return res.status(200).json({ success: true, username });
+  } catch (err) {
+    console.error('[Backend] LOCKOUTS Unexpected error:', err);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
+  }
+}
+
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/admins/lockouts.js
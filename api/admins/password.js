@@ -0,0 +1,136 @@
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/admins/password.js
+// Debug warning: Any signed-in admin changes their own password
+//   POST { current_password, new_password }   other sessions are revoked, the caller's own session stays signed in
+
+import { createClient } from '@supabase/supabase-js';
+import { authenticateRequest, authenticateAdmin, revokeAdminSessions } from '../utils/adminAuth.js';
+import { hashPassword, validateNewPassword } from '../utils/password.js';
+import { checkRateLimit, setRateLimitHeaders, getClientIP, formatWaitTime } from '../utils/rateLimiter.js';
+import { logAudit } from '../utils/audit.js';
+
+// Wrong current passwords: 5 tries per 15 minutes per admin
+const PASSWORD_CHANGE_WINDOW_MS = 15 * 60 * 1000;
+const PASSWORD_CHANGE_ATTEMPTS = 5;
+
+// Admin client with service role key (bypasses RLS)
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    )
+  : null;
+
+export default async function handler(req, res) {
+  // Set CORS headers for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Username, X-Admin-Password, X-Admin-OTP');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST, OPTIONS');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!supabaseAdmin) {
+    console.error('[Backend] SUPABASE_SERVICE_ROLE_KEY not configured');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    // Verify bearer token or admin credentials
+    const { admin, reason } = await authenticateRequest(req);
+
+    if (reason === 'missing_credentials') {
+      return res.status(401).json({ error: 'Missing credentials' });
+    }
+
+    if (!admin) {
+      console.log('[Backend] PASSWORD Auth failed');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { current_password: currentPassword, new_password: newPassword } = req.body || {};
+    const fields = {};
+
+    if (!currentPassword || typeof currentPassword !== 'string') {
+      fields.current_password = 'Current password is required';
+    }
+
+    const passwordError = validateNewPassword(newPassword);
+    if (passwordError) {
+      fields.new_password = passwordError;
+    } else if (newPassword === currentPassword) {
+      fields.new_password = 'Must differ from the current password';
+    }
+
+    if (Object.keys(fields).length > 0) {
+      return res.status(400).json({ error: 'Invalid password change', fields });
+    }
+
+    const rateCheck = await checkRateLimit(`password_change_${admin.id}`, PASSWORD_CHANGE_WINDOW_MS, PASSWORD_CHANGE_ATTEMPTS);
+    setRateLimitHeaders(res, rateCheck);
+
+    if (!rateCheck.allowed) {
+      return res.status(429).json({
+        error: `Too many password change attempts. Please try again in ${formatWaitTime(rateCheck.resetTime)}.`,
+        retryAfter: Math.ceil((rateCheck.resetTime - Date.now()) / 1000)
+      });
+    }
+
+    // Debug warning: Bearer tokens prove a session, not the password, so always re-check it
+    const { admin: verified, lockedUntil } = await authenticateAdmin(admin.username, currentPassword, {
+      ip: getClientIP(req),
+      path: req.url,
+      // The second factor was already proven by the session (or X-Admin-OTP) that got us here
+      passwordOnly: true
+    });
+
+    if (lockedUntil) {
+      return res.status(429).json({
+        error: `Too many failed attempts. Please try again in ${formatWaitTime(lockedUntil)}.`,
+        retryAfter: Math.ceil((lockedUntil - Date.now()) / 1000)
+      });
+    }
+
+    if (!verified) {
+      console.log('[Backend] PASSWORD Current password mismatch for:', admin.username);
+      return res.status(403).json({ error: 'Current password is incorrect' });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('admin_users')
+      .update({ password: await hashPassword(newPassword) })
+      .eq('id', verified.id);
+
+    if (error) {
+      console.error('[Backend] PASSWORD Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to change password', details: error.message });
+    }
+
+    // Header-credential callers have no session of their own, so every session goes
+    const revoked = await revokeAdminSessions(verified.id, admin.session_id || null);
+
+    await logAudit(admin.username, 'PASSWORD_CHANGE', null, null, {
+      admin_id: verified.id,
+      sessions_revoked: revoked
+    }, admin.role);
+
+    console.log('[Backend] PASSWORD Changed for:', admin.username);
+    return res.status(200).json({ success: true, sessions_revoked: revoked });
+  } catch (err) {
+    console.error('[Backend] PASSWORD Unexpected error:', err);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
+  }
+}
+
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/admins/password.js
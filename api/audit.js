@@ -0,0 +1,203 @@
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/audit.js
+// Debug warning: Read API for audit_log (written by logAudit in utils/audit.js)
+//   GET ?username&pet_id&action=EDIT,DELETE&role&from&to&limit&offset   newest first, { entries, total, limit, offset }
+//   GET ...&format=csv                                                   same filters, every matching row as CSV
+// Roles with view_audit see everything; everyone else only sees their own entries
+
+import { createClient } from '@supabase/supabase-js';
+import { authenticateRequest } from './utils/adminAuth.js';
+import { can } from './utils/permissions.js';
+import { toCsv } from './utils/csv.js';
+
+const AUDIT_COLUMNS = ['id', 'created_at', 'username', 'admin_role', 'action_type', 'pet_id', 'pet_name', 'changes'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+// PostgREST caps a single response (1000 by default), so CSV exports are read in pages
+const CSV_PAGE_SIZE = 1000;
+const MAX_CSV_ROWS = 20000;
+
+// Admin client with service role key (bypasses RLS)
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    )
+  : null;
+
+// Validate query params into filters, or return field errors
+function parseAuditQuery(query) {
+  const errors = {};
+  const filters = {};
+
+  if (query.username) filters.username = String(query.username);
+  if (query.role) filters.role = String(query.role);
+
+  if (query.pet_id !== undefined && query.pet_id !== '') {
+    if (!/^\d+$/.test(String(query.pet_id))) {
+      errors.pet_id = 'Must be a positive integer';
+    } else {
+      filters.petId = parseInt(query.pet_id, 10);
+    }
+  }
+
+  if (query.action) {
+    const actions = String(query.action).split(',').map((action) => action.trim().toUpperCase()).filter(Boolean);
+    if (actions.some((action) => !/^[A-Z_]+$/.test(action))) {
+      errors.action = 'Must be a comma-separated list of action types (e.g. EDIT,DELETE)';
+    } else {
+      filters.actions = actions;
+    }
+  }
+
+  for (const key of ['from', 'to']) {
+    if (query[key]) {
+      const time = Date.parse(query[key]);
+      if (isNaN(time)) {
+        errors[key] = 'Must be an ISO date or timestamp';
+      } else {
+        // A bare date as "to" means the whole day
+        const endOfDay = key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(String(query[key]));
+        filters[key] = new Date(endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time).toISOString();
+      }
+    }
+  }
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    errors.to = 'Must not be before from';
+  }
+
+  const format = query.format || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    errors.format = 'Must be json or csv';
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.limit = `Must be between 1 and ${MAX_LIMIT}`;
+  }
+
+  const offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+  if (isNaN(offset) || offset < 0) {
+    errors.offset = 'Must be 0 or more';
+  }
+
+  if (Object.keys(errors).length > 0) return { options: null, errors };
+  return { options: { filters, format, limit, offset }, errors: null };
+}
+
+function buildQuery(filters, withCount) {
+  let query = supabaseAdmin
+    .from('audit_log')
+    .select(AUDIT_COLUMNS.join(', '), withCount ? { count: 'exact' } : undefined)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false });
+
+  if (filters.username) query = query.eq('username', filters.username);
+  if (filters.role) query = query.eq('admin_role', filters.role);
+  if (filters.petId !== undefined) query = query.eq('pet_id', filters.petId);
+  if (filters.actions) query = query.in('action_type', filters.actions);
+  if (filters.from) query = query.gte('created_at', filters.from);
+  if (filters.to) query = query.lte('created_at', filters.to);
+
+  return query;
+}
+
+// Every matching row (up to MAX_CSV_ROWS), page by page
+async function fetchAllEntries(filters) {
+  const entries = [];
+  for (let offset = 0; offset < MAX_CSV_ROWS; offset += CSV_PAGE_SIZE) {
+    const { data, error } = await buildQuery(filters, false).range(offset, offset + CSV_PAGE_SIZE - 1);
+    if (error) return { entries: [], error };
+
+    entries.push(...(data || []));
+    if (!data || data.length < CSV_PAGE_SIZE) break;
+  }
+  return { entries: entries.slice(0, MAX_CSV_ROWS), error: null };
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Username, X-Admin-Password, X-Admin-OTP');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET, OPTIONS');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!supabaseAdmin) {
+    console.error('[Backend] SUPABASE_SERVICE_ROLE_KEY not configured');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    // Verify bearer token or admin credentials and get role
+    const { admin, reason } = await authenticateRequest(req);
+
+    if (reason === 'missing_credentials') {
+      return res.status(401).json({ error: 'Missing credentials' });
+    }
+
+    if (!admin) {
+      console.log('[Backend] AUDIT Auth failed');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { options, errors } = parseAuditQuery(req.query);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid query', fields: errors });
+    }
+
+    const { filters, format, limit, offset } = options;
+
+    // Debug warning: Roles without view_audit (e.g. miniadmin) are pinned to their own entries
+    if (!can(admin.role, 'view_audit')) {
+      if (filters.username && filters.username !== admin.username) {
+        console.log('[Backend] AUDIT Role not allowed to view others - blocked:', admin.role);
+        return res.status(403).json({ error: 'Insufficient permissions to view other admins\' entries.' });
+      }
+      filters.username = admin.username;
+    }
+
+    if (format === 'csv') {
+      const { entries, error } = await fetchAllEntries(filters);
+      if (error) {
+        console.error('[Backend] AUDIT Supabase error:', error);
+        return res.status(500).json({ error: 'Failed to export audit log', details: error.message });
+      }
+
+      const rows = entries.map((entry) => ({ ...entry, changes: JSON.stringify(entry.changes || {}) }));
+      const stamp = new Date().toISOString().slice(0, 10);
+
+      console.log('[Backend] AUDIT CSV export by', admin.username, '-', rows.length, 'entries');
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${stamp}.csv"`);
+      return res.status(200).send(toCsv(rows, AUDIT_COLUMNS));
+    }
+
+    const { data: entries, error, count } = await buildQuery(filters, true).range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('[Backend] AUDIT Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch audit log', details: error.message });
+    }
+
+    return res.status(200).json({ entries: entries || [], total: count ?? 0, limit, offset });
+  } catch (err) {
+    console.error('[Backend] AUDIT Unexpected error:', err);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
+  }
+}
+
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/audit.js
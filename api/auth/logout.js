@@ -0,0 +1,47 @@
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/auth/logout.js
+
+import { revokeSession } from "../utils/adminAuth.js";
+import { verifyToken, getBearerToken } from "../utils/tokens.js";
+
+// Debug warning: Revokes the session behind a refresh token (body) or access token (Authorization header)
+// Already issued access tokens stay valid until they expire (max 15 minutes)
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+
+  // Handle preflight OPTIONS request
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const { refreshToken } = req.body || {};
+    const claims = refreshToken
+      ? verifyToken(refreshToken, "refresh")
+      : verifyToken(getBearerToken(req), "access");
+
+    if (!claims) {
+      return res.status(401).json({ error: "Invalid or expired token" });
+    }
+
+    await revokeSession(claims.sid);
+
+    console.log('[Auth] Session revoked:', claims.sid);
+    return res.status(200).json({ success: true, message: "Logged out" });
+  } catch (err) {
+    console.error("[Auth Error]:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+}
+
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/auth/logout.js
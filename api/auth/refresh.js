@@ -0,0 +1,67 @@
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/auth/refresh.js
+
+import { checkRateLimit, setRateLimitHeaders, getClientIP, formatWaitTime } from "../utils/rateLimiter.js";
+import { refreshSession } from "../utils/adminAuth.js";
+
+// Debug warning: Exchanges a refresh token for a new access/refresh pair (old refresh token is revoked)
+const REFRESH_WINDOW_MS = 60 * 1000;
+const REFRESH_MAX_ATTEMPTS = 10;
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  // Handle preflight OPTIONS request
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const clientIP = getClientIP(req);
+  const rateCheck = await checkRateLimit(`refresh_${clientIP}`, REFRESH_WINDOW_MS, REFRESH_MAX_ATTEMPTS);
+  setRateLimitHeaders(res, rateCheck);
+
+  if (!rateCheck.allowed) {
+    const waitTime = formatWaitTime(rateCheck.resetTime);
+    console.log(`[Auth] Refresh rate limit exceeded for IP: ${clientIP}`);
+    return res.status(429).json({
+      error: `Too many refresh attempts. Please try again in ${waitTime}.`,
+      retryAfter: Math.ceil((rateCheck.resetTime - Date.now()) / 1000)
+    });
+  }
+
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Refresh token required" });
+    }
+
+    const session = await refreshSession(refreshToken);
+    if (!session) {
+      console.log('[Auth] Refresh rejected for IP:', clientIP);
+      return res.status(401).json({ error: "Invalid or expired refresh token" });
+    }
+
+    const { admin, ...tokens } = session;
+    console.log('[Auth] Session refreshed for:', admin.username);
+    return res.status(200).json({
+      username: admin.username,
+      role: admin.role || 'admin',
+      ...tokens
+    });
+  } catch (err) {
+    console.error("[Auth Error]:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+}
+
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/auth/refresh.js
@@ -0,0 +1,273 @@
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/auth/totp.js
+// Debug warning: TOTP two-factor enrollment for the signed-in admin (see utils/totp.js)
+//   GET                                   { enabled, pending, required, recovery_codes_remaining }
+//   POST { action: 'enroll' }             new pending secret + otpauth URI (not active until confirmed)
+//   POST { action: 'confirm', code }      first code from the app turns 2FA on, returns recovery codes once
+//   POST { action: 'recovery_codes', code }  replace the recovery codes, returns the new ones once
+//   DELETE { code }                       turn 2FA off (refused when the role requires it)
+// Accounts whose role requires 2FA but have not enrolled yet can reach this route with header credentials
+// Changes need a fresh code in the body unless the request itself was authenticated with X-Admin-OTP
+
+import { createClient } from '@supabase/supabase-js';
+import { authenticateRequest, revokeAdminSessions } from '../utils/adminAuth.js';
+import { requiresTwoFactor } from '../utils/permissions.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  verifySecondFactor
+} from '../utils/totp.js';
+import { recordLoginFailure } from '../utils/loginLockout.js';
+import { getClientIP } from '../utils/rateLimiter.js';
+import { logAudit } from '../utils/audit.js';
+
+const TOTP_COLUMNS = 'id, username, role, totp_enabled, totp_secret, totp_pending_secret, totp_last_counter, totp_recovery_codes';
+
+// Admin client with service role key (bypasses RLS)
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    )
+  : null;
+
+// A wrong code here counts towards the account lockout like a wrong code at login
+async function rejectCode(req, res, admin) {
+  const { lockedUntil } = await recordLoginFailure(admin.username, {
+    ip: getClientIP(req),
+    path: req.url,
+    reason: 'invalid_otp'
+  });
+  return res.status(lockedUntil ? 429 : 403).json({ error: 'Invalid two-factor code' });
+}
+
+// Header-credential requests already passed X-Admin-OTP in authenticateRequest
+async function confirmCurrentCode(admin, row, code) {
+  if (!admin.session_id) return true;
+  const { valid } = await verifySecondFactor(row, code);
+  return valid;
+}
+
+// POST enroll: Start (or restart) enrollment with a new pending secret
+async function handleEnroll(req, res, admin, row) {
+  if (row.totp_enabled) {
+    return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+  }
+
+  const secret = generateTotpSecret();
+  const { error } = await supabaseAdmin
+    .from('admin_users')
+    .update({ totp_pending_secret: secret })
+    .eq('id', row.id);
+
+  if (error) {
+    console.error('[Backend] TOTP Supabase error:', error);
+    return res.status(500).json({ error: 'Failed to start enrollment', details: error.message });
+  }
+
+  console.log('[Backend] TOTP Enrollment started for:', row.username);
+  return res.status(200).json({ secret, otpauth_uri: buildOtpauthUri(row.username, secret) });
+}
+
+// POST confirm: The first valid code activates the pending secret
+async function handleConfirm(req, res, admin, row) {
+  if (row.totp_enabled) {
+    return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+  }
+
+  if (!row.totp_pending_secret) {
+    return res.status(409).json({ error: 'No enrollment in progress, start with action "enroll"' });
+  }
+
+  const counter = verifyTotp(row.totp_pending_secret, req.body.code);
+  if (counter === null) {
+    return await rejectCode(req, res, admin);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  const { data, error } = await supabaseAdmin
+    .from('admin_users')
+    .update({
+      totp_enabled: true,
+      totp_secret: row.totp_pending_secret,
+      totp_pending_secret: null,
+      totp_last_counter: counter,
+      totp_recovery_codes: hashes
+    })
+    .eq('id', row.id)
+    .eq('totp_pending_secret', row.totp_pending_secret)
+    .select('id');
+
+  if (error) {
+    console.error('[Backend] TOTP Supabase error:', error);
+    return res.status(500).json({ error: 'Failed to enable two-factor authentication', details: error.message });
+  }
+
+  if (!data || data.length === 0) {
+    return res.status(409).json({ error: 'Enrollment changed meanwhile, start again' });
+  }
+
+  // Sessions opened with the password alone end; the caller's own session stays
+  const revoked = await revokeAdminSessions(row.id, admin.session_id || null);
+
+  await logAudit(row.username, 'TOTP_ENABLE', null, null, { admin_id: row.id, sessions_revoked: revoked }, row.role);
+
+  console.log('[Backend] TOTP Enabled for:', row.username);
+  return res.status(200).json({ enabled: true, recovery_codes: codes });
+}
+
+// POST recovery_codes: Replace every recovery code
+async function handleRecoveryCodes(req, res, admin, row) {
+  if (!row.totp_enabled) {
+    return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+  }
+
+  if (!(await confirmCurrentCode(admin, row, req.body.code))) {
+    return await rejectCode(req, res, admin);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  const { error } = await supabaseAdmin
+    .from('admin_users')
+    .update({ totp_recovery_codes: hashes })
+    .eq('id', row.id);
+
+  if (error) {
+    console.error('[Backend] TOTP Supabase error:', error);
+    return res.status(500).json({ error: 'Failed to replace recovery codes', details: error.message });
+  }
+
+  await logAudit(row.username, 'TOTP_RECOVERY_CODES', null, null, { admin_id: row.id }, row.role);
+
+  console.log('[Backend] TOTP Recovery codes replaced for:', row.username);
+  return res.status(200).json({ recovery_codes: codes });
+}
+
+// DELETE: Turn 2FA off
+async function handleDisable(req, res, admin, row) {
+  if (!row.totp_enabled) {
+    return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+  }
+
+  if (requiresTwoFactor(row.role)) {
+    return res.status(403).json({ error: 'Two-factor authentication is required for your role.' });
+  }
+
+  if (!(await confirmCurrentCode(admin, row, req.body.code))) {
+    return await rejectCode(req, res, admin);
+  }
+
+  const { error } = await supabaseAdmin
+    .from('admin_users')
+    .update({
+      totp_enabled: false,
+      totp_secret: null,
+      totp_pending_secret: null,
+      totp_last_counter: null,
+      totp_recovery_codes: null
+    })
+    .eq('id', row.id);
+
+  if (error) {
+    console.error('[Backend] TOTP Supabase error:', error);
+    return res.status(500).json({ error: 'Failed to disable two-factor authentication', details: error.message });
+  }
+
+  await logAudit(row.username, 'TOTP_DISABLE', null, null, { admin_id: row.id }, row.role);
+
+  console.log('[Backend] TOTP Disabled for:', row.username);
+  return res.status(200).json({ enabled: false });
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Username, X-Admin-Password, X-Admin-OTP');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, POST, DELETE, OPTIONS');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!supabaseAdmin) {
+    console.error('[Backend] SUPABASE_SERVICE_ROLE_KEY not configured');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    // Verify bearer token or admin credentials (accounts that still have to enroll are let through here only)
+    const { admin, reason } = await authenticateRequest(req, { allowUnenrolled: true });
+
+    if (reason === 'missing_credentials') {
+      return res.status(401).json({ error: 'Missing credentials' });
+    }
+
+    if (reason === 'otp_required') {
+      return res.status(401).json({ error: 'Two-factor code required (X-Admin-OTP)' });
+    }
+
+    if (!admin) {
+      console.log('[Backend] TOTP Auth failed');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { data: row, error } = await supabaseAdmin
+      .from('admin_users')
+      .select(TOTP_COLUMNS)
+      .eq('id', admin.id)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[Backend] TOTP Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to load account', details: error.message });
+    }
+
+    if (!row) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        enabled: Boolean(row.totp_enabled),
+        pending: Boolean(row.totp_pending_secret),
+        required: requiresTwoFactor(row.role),
+        recovery_codes_remaining: (row.totp_recovery_codes || []).length
+      });
+    }
+
+    req.body = req.body || {};
+
+    if (req.method === 'DELETE') {
+      return await handleDisable(req, res, admin, row);
+    }
+
+    switch (req.body.action) {
+      case 'enroll':
+        return await handleEnroll(req, res, admin, row);
+      case 'confirm':
+        return await handleConfirm(req, res, admin, row);
+      case 'recovery_codes':
+        return await handleRecoveryCodes(req, res, admin, row);
+      default:
+        return res.status(400).json({ error: 'Invalid action', fields: { action: 'Must be one of: enroll, confirm, recovery_codes' } });
+    }
+  } catch (err) {
+    console.error('[Backend] TOTP Unexpected error:', err);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
+  }
+}
+
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/auth/totp.js
@@ -1,18 +1,23 @@
 // File type: Vercel Serverless Function (Node.js API route)
 // Path: /api/auth/verify.js
 
-import { createClient } from "@supabase/supabase-js";
-import { checkRateLimit, getClientIP, formatWaitTime } from "../utils/rateLimiter.js";
+import { checkRateLimit, setRateLimitHeaders, getClientIP, formatWaitTime } from "../utils/rateLimiter.js";
+import { authenticateAdmin, authenticateOtpChallenge, issueOtpChallenge, issueSession } from "../utils/adminAuth.js";
+import { verifyToken } from "../utils/tokens.js";
 
 // Debug warning: Authentication verification endpoint with 2-minute rate limit on failed attempts
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+// On top of the IP limit, failures lock the account progressively (see utils/loginLockout.js)
+// Accounts with TOTP: send { username, password, otp } at once, or { username, password } first and then
+// { challenge, otp } with the challenge from the otp_required answer (a valid challenge skips the IP limit,
+// but only gets a few code attempts)
 
 // Rate limit config: 2 minutes (120000ms) cooldown after login attempt
 const LOGIN_COOLDOWN_MS = 2 * 60 * 1000;
 
+// Code attempts per challenge, over the challenge lifetime (5 minutes, see adminAuth.js)
+const OTP_CHALLENGE_WINDOW_MS = 5 * 60 * 1000;
+const OTP_CHALLENGE_MAX_ATTEMPTS = 5;
+
 export default async function handler(req, res) {
   // CORS headers
   res.setHeader("Access-Control-Allow-Origin", "*");
@@ -32,9 +37,16 @@ export default async function handler(req, res) {
   // Get client IP for rate limiting
   const clientIP = getClientIP(req);
   const rateLimitKey = `login_${clientIP}`;
+  const { username, password, otp, challenge } = req.body || {};
+
+  // The code step of a two-step login carries the username inside the challenge token
+  const challengeClaims = challenge ? verifyToken(challenge, 'otp_challenge') : null;
 
-  // Check rate limit (1 attempt per 2 minutes)
-  const rateCheck = checkRateLimit(rateLimitKey, LOGIN_COOLDOWN_MS, 1);
+  // Check rate limit (1 attempt per 2 minutes); only a challenge that verifies skips it, and gets its own attempt cap
+  const rateCheck = challengeClaims
+    ? await checkRateLimit(`otp_challenge_${challengeClaims.jti}`, OTP_CHALLENGE_WINDOW_MS, OTP_CHALLENGE_MAX_ATTEMPTS)
+    : await checkRateLimit(rateLimitKey, LOGIN_COOLDOWN_MS, 1);
+  setRateLimitHeaders(res, rateCheck);
   
   if (!rateCheck.allowed) {
     const waitTime = formatWaitTime(rateCheck.resetTime);
@@ -47,44 +59,71 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { username, password } = req.body;
+    const context = { ip: clientIP, path: '/api/auth/verify', otp };
 
-    console.log('[Auth] Verifying credentials for username:', username);
-
-    if (!username || !password) {
+    if (!challenge && (!username || !password)) {
       return res.status(400).json({ error: "Username and password required", valid: false });
     }
 
-    // Query admin_users table with role info
-    const { data: admin, error } = await supabase
-      .from("admin_users")
-      .select("id, username, is_active, password, role")
-      .eq("username", username)
-      .eq("is_active", true)
-      .single();
-
-    if (error) {
-      console.log('[Auth] Database error:', error);
-      return res.status(200).json({ valid: false, reason: 'User not found or not active' });
+    const loginName = challenge ? challengeClaims?.usr || '(expired challenge)' : username;
+
+    console.log('[Auth] Verifying credentials for username:', loginName);
+
+    // Debug warning: Password is checked against the stored hash (legacy plaintext rows are upgraded)
+    const { admin, reason, lockedUntil, pendingAdmin } = challenge
+      ? await authenticateOtpChallenge(challenge, otp, context)
+      : await authenticateAdmin(username, password, context);
+
+    // Debug warning: Unknown usernames lock too, so this does not reveal whether the account exists
+    if (lockedUntil) {
+      console.log('[Auth] Account locked for username:', loginName);
+      res.setHeader('Retry-After', String(Math.ceil((lockedUntil - Date.now()) / 1000)));
+      return res.status(429).json({
+        error: `Too many failed login attempts. Please try again in ${formatWaitTime(lockedUntil)}.`,
+        valid: false,
+        retryAfter: Math.ceil((lockedUntil - Date.now()) / 1000)
+      });
     }
 
-    if (!admin) {
-      console.log('[Auth] No admin found for username:', username);
-      return res.status(200).json({ valid: false, reason: 'Invalid username' });
+    if (reason === 'otp_required') {
+      const otpChallenge = issueOtpChallenge(pendingAdmin);
+      return res.status(200).json({
+        valid: false,
+        otp_required: true,
+        reason: 'Two-factor code required',
+        ...(otpChallenge ? { challenge: otpChallenge.token, challengeExpiresAt: otpChallenge.expiresAt } : {})
+      });
     }
 
-    // Check password match
-    if (admin.password !== password) {
-      console.log('[Auth] Password mismatch for username:', username);
-      return res.status(200).json({ valid: false, reason: 'Invalid password' });
+    if (reason === 'invalid_otp' || (challenge && reason === 'missing_credentials')) {
+      return res.status(200).json({ valid: false, otp_required: true, reason: 'Invalid two-factor code' });
     }
 
-    // Debug warning: Successful login returns valid response
-    console.log('[Auth] Credentials valid for:', username, 'Role:', admin.role || 'admin');
+    if (reason === 'invalid_token') {
+      return res.status(200).json({ valid: false, reason: 'Login expired, please sign in again' });
+    }
+
+    if (reason === 'otp_enrollment_required') {
+      // Enroll at /api/auth/totp with header credentials, then sign in with a code
+      return res.status(200).json({ valid: false, otp_enrollment_required: true, reason: 'Two-factor authentication must be set up for this account' });
+    }
+
+    if (!admin) {
+      // Same answer for unknown users and wrong passwords; the logs keep the difference
+      console.log('[Auth] Login failed for username:', loginName, '-', reason);
+      return res.status(200).json({ valid: false, reason: 'Invalid username or password' });
+    }
+
+    // Debug warning: Successful login returns valid response plus a session token pair
+    // Writes can then use Authorization: Bearer <token> instead of sending the password
+    const session = await issueSession(admin);
+
+    console.log('[Auth] Credentials valid for:', admin.username, 'Role:', admin.role || 'admin');
     return res.status(200).json({ 
       valid: true, 
       username: admin.username,
-      role: admin.role || 'admin'
+      role: admin.role || 'admin',
+      ...(session || {})
     });
   } catch (err) {
     console.error("[Auth Error]:", err);
@@ -0,0 +1,46 @@
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/cron/purge-trash.js
+// Debug warning: Called daily by Vercel Cron (see vercel.json) to purge pets past TRASH_RETENTION_DAYS
+// Vercel sends Authorization: Bearer <CRON_SECRET>; anything else is rejected
+
+import { createClient } from '@supabase/supabase-js';
+import { purgeTrashedPets } from '../utils/trash.js';
+import { isCronRequest } from '../utils/cronAuth.js';
+
+// Admin client with service role key (bypasses RLS)
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    )
+  : null;
+
+const SYSTEM_ACTOR = { username: 'system', role: 'system' };
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!supabaseAdmin) {
+    console.error('[Cron] SUPABASE_SERVICE_ROLE_KEY not configured');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  const { purged, error } = await purgeTrashedPets(supabaseAdmin, SYSTEM_ACTOR, { expiredOnly: true });
+  if (error) {
+    console.error('[Cron] Trash purge failed:', error);
+    return res.status(500).json({ error: 'Failed to purge trash' });
+  }
+
+  console.log('[Cron] Purged expired pets:', purged.length);
+  return res.status(200).json({ success: true, purged });
+}
+
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/cron/purge-trash.js
@@ -0,0 +1,33 @@
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/cron/retry-webhooks.js
+// Debug warning: Called by Vercel Cron (see vercel.json) to retry failed webhook deliveries whose backoff has elapsed
+// Vercel sends Authorization: Bearer <CRON_SECRET>; anything else is rejected
+
+import { retryDueDeliveries } from '../utils/webhook.js';
+import { isCronRequest } from '../utils/cronAuth.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { results, error } = await retryDueDeliveries();
+  if (error) {
+    console.error('[Cron] Webhook retry failed:', error);
+    return res.status(500).json({ error: 'Failed to retry webhooks' });
+  }
+
+  const summary = { delivered: 0, retrying: 0, failed: 0 };
+  for (const delivery of results) summary[delivery.status] = (summary[delivery.status] || 0) + 1;
+
+  console.log('[Cron] Retried webhook deliveries:', summary);
+  return res.status(200).json({ success: true, attempted: results.length, ...summary });
+}
+
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/cron/retry-webhooks.js
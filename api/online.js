@@ -1,14 +1,11 @@
 // File type: Vercel Serverless Function (Node.js API route)
 // Path: /api/online.js
 
-// Debug warning (top): This is a simple fake counter for now.
-// Later, it will query Supabase for real online user count.
+// Debug warning (top): Real online count from the presence table.
+// Visitors report in through POST /api/online/heartbeat.
 
-const THIRTY_MINUTES_SECONDS = 30 * 60;
-
-// Simple fake counter for early testing.
-// Later, this will come from Supabase (e.g. active sessions).
-const FAKE_ONLINE_COUNT = 42;
+import { countOnline, resolveWindowMinutes } from "./utils/presence.js";
+import { computeETag, isNotModified, setValidators } from "./utils/httpCache.js";
 
 // Vercel Node.js serverless handler
 export default async function handler(req, res) {
@@ -18,17 +15,35 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: "Method Not Allowed. Use GET." });
   }
 
-  // Same CDN caching strategy as /api/pets:
-  // - s-maxage=1800 caches at Vercel edge for 30 minutes.
+  // Query params:
+  // - minutes: lookback window (default PRESENCE_WINDOW_MINUTES or 5, max 60)
+  // - by=page: include a per-page breakdown
+  const windowMinutes = resolveWindowMinutes(req.query?.minutes);
+  const byPage = req.query?.by === "page";
+
+  // Short CDN cache so the number stays live but bursts hit the edge:
+  // - s-maxage=30 caches at Vercel edge for 30 seconds.
   // - max-age=0 lets frontend handle its own cache.
   res.setHeader(
     "Cache-Control",
-    "public, max-age=0, s-maxage=1800, stale-while-revalidate=1800"
+    "public, max-age=0, s-maxage=30, stale-while-revalidate=30"
   );
 
-  // Return simple JSON response.
-  // In the future, this will query Supabase instead of static FAKE_ONLINE_COUNT.
-  return res.status(200).json({ count: FAKE_ONLINE_COUNT });
+  try {
+    const body = { ...(await countOnline(windowMinutes, byPage)), windowMinutes };
+
+    // ETag follows the body, so polling clients get a 304 while the count holds steady
+    const etag = computeETag(body);
+    setValidators(res, etag, null);
+    if (isNotModified(req, etag, null)) {
+      return res.status(304).end();
+    }
+
+    return res.status(200).json(body);
+  } catch (err) {
+    console.error("[Online Error]:", err);
+    return res.status(500).json({ error: "Failed to count online visitors" });
+  }
 }
 
 // File type: Vercel Serverless Function (Node.js API route)
@@ -0,0 +1,58 @@
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/online/heartbeat.js
+
+import { checkRateLimit, setRateLimitHeaders, getClientIP, formatWaitTime } from "../utils/rateLimiter.js";
+import { isValidVisitorId, recordHeartbeat } from "../utils/presence.js";
+
+// Debug warning: The site pings this about once a minute with an anonymous visitor id
+// Body: { visitorId: string (8-64 chars, A-Z a-z 0-9 _ -), page?: string }
+const HEARTBEAT_WINDOW_MS = 60 * 1000;
+const HEARTBEAT_MAX_PER_WINDOW = 30; // per IP, leaves room for several tabs behind one NAT
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  // Handle preflight OPTIONS request
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const clientIP = getClientIP(req);
+  const rateCheck = await checkRateLimit(`heartbeat_${clientIP}`, HEARTBEAT_WINDOW_MS, HEARTBEAT_MAX_PER_WINDOW);
+  setRateLimitHeaders(res, rateCheck);
+
+  if (!rateCheck.allowed) {
+    const waitTime = formatWaitTime(rateCheck.resetTime);
+    return res.status(429).json({
+      error: `Too many heartbeats. Please try again in ${waitTime}.`,
+      retryAfter: Math.ceil((rateCheck.resetTime - Date.now()) / 1000)
+    });
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    const { visitorId, page } = req.body || {};
+
+    if (!isValidVisitorId(visitorId)) {
+      return res.status(400).json({ error: "Invalid visitor id" });
+    }
+
+    await recordHeartbeat(visitorId, page);
+    return res.status(200).json({ success: true });
+  } catch (err) {
+    console.error("[Heartbeat Error]:", err);
+    return res.status(500).json({ error: "Failed to record heartbeat" });
+  }
+}
+
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/online/heartbeat.js
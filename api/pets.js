@@ -2,7 +2,18 @@
 // Path: /api/pets.js
 
 import { createClient } from "@supabase/supabase-js";
-import { checkRateLimit, getClientIP, formatWaitTime } from "./utils/rateLimiter.js";
+import { checkRateLimit, setRateLimitHeaders, getClientIP, formatWaitTime } from "./utils/rateLimiter.js";
+import { authenticateRequest } from "./utils/adminAuth.js";
+import { logAudit, diffPetChanges } from "./utils/audit.js";
+import { trashPet, getPurgeAfter } from "./utils/trash.js";
+import { validatePetPayload, withValueNumbers } from "./utils/petSchema.js";
+import { emitWebhookEvent } from "./utils/webhook.js";
+import { can, getWritableFields, notifiesEdits, requiresApproval, findRefusedFields, refusedFieldsError } from "./utils/permissions.js";
+import { submitProposal } from "./utils/proposals.js";
+import { getGuardrails, checkGuardrails, recordGuardrailBlock } from "./utils/guardrails.js";
+import { parsePetListQuery, fetchPetList, fetchPetListVersion } from "./utils/petQueries.js";
+import { getPetETag, withPetVersion, readExpectedVersion, versionMatches, diffConflict } from "./utils/petVersion.js";
+import { computeETag, isConditionalRequest, isNotModified, setValidators } from "./utils/httpCache.js";
 
 // Debug warning: Rate limit configs
 const FIFTEEN_MINUTES_MS = 15 * 60 * 1000; // 15 minutes for normal requests
@@ -20,142 +31,12 @@ const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
   ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
   : null;
 
-// Verify admin credentials against database and return role
-async function verifyAdmin(username, password) {
-  if (!username || !password) return null;
-
-  try {
-    const { data: admin, error } = await supabase
-      .from("admin_users")
-      .select("id, username, is_active, role")
-      .eq("username", username)
-      .eq("password", password)
-      .eq("is_active", true)
-      .single();
-
-    return !error && admin ? admin : null;
-  } catch (err) {
-    console.error("[Auth Error]:", err);
-    return null;
-  }
-}
-
-// Log action to audit_log table with role info
-async function logAudit(username, actionType, petId, petName, changes, adminRole) {
-  if (!supabaseAdmin) {
-    console.warn("[Audit Warning] Service role key not configured, skipping audit log");
-    return;
-  }
-  
-  try {
-    await supabaseAdmin
-      .from("audit_log")
-      .insert([
-        {
-          username,
-          action_type: actionType,
-          pet_id: petId,
-          pet_name: petName,
-          changes: changes || {},
-          admin_role: adminRole || 'admin'
-        }
-      ]);
-  } catch (err) {
-    console.error("[Audit Log Error]:", err);
-  }
-}
-
-// Debug warning: Fetch webhook URL from database (only via service role)
-async function getWebhookUrl() {
-  if (!supabaseAdmin) return null;
-  
-  try {
-    const { data, error } = await supabaseAdmin
-      .from("webhook_config")
-      .select("webhook_url")
-      .eq("webhook_type", "miniadmin_edits")
-      .eq("is_active", true)
-      .single();
-    
-    if (error || !data) {
-      console.warn("[Webhook] No active webhook found");
-      return null;
-    }
-    
-    return data.webhook_url;
-  } catch (err) {
-    console.error("[Webhook Error]:", err);
-    return null;
-  }
-}
-
-// Debug warning: Send webhook notification for miniadmin edits
-async function sendWebhookNotification(username, petName, changes) {
-  try {
-    const webhookUrl = await getWebhookUrl();
-    if (!webhookUrl) return;
-    
-    // Build embed message with changes
-    const fields = [];
-    if (changes.value_normal) {
-      fields.push({
-        name: "Normal Value",
-        value: `${changes.value_normal.from} → ${changes.value_normal.to}`,
-        inline: true
-      });
-    }
-    if (changes.value_golden) {
-      fields.push({
-        name: "Golden Value",
-        value: `${changes.value_golden.from} → ${changes.value_golden.to}`,
-        inline: true
-      });
-    }
-    if (changes.value_rainbow) {
-      fields.push({
-        name: "Rainbow Value",
-        value: `${changes.value_rainbow.from} → ${changes.value_rainbow.to}`,
-        inline: true
-      });
-    }
-    if (changes.value_void) {
-      fields.push({
-        name: "Void Value",
-        value: `${changes.value_void.from} → ${changes.value_void.to}`,
-        inline: true
-      });
-    }
-    
-    const payload = {
-      embeds: [{
-        title: "🔧 Mini-Admin Pet Value Update",
-        description: `**${username}** edited **${petName}**`,
-        color: 0x3b82f6,
-        fields: fields,
-        timestamp: new Date().toISOString(),
-        footer: {
-          text: "Mini-Admin Edit Log"
-        }
-      }]
-    };
-    
-    await fetch(webhookUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-    
-    console.log('[Webhook] Notification sent for:', petName);
-  } catch (err) {
-    console.error("[Webhook Send Error]:", err);
-  }
-}
-
 // Set CORS headers for cross-origin requests
 function setCorsHeaders(res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Admin-Username, X-Admin-Password");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, If-None-Match, If-Modified-Since, If-Match, X-Admin-Username, X-Admin-Password, X-Admin-OTP");
+  res.setHeader("Access-Control-Expose-Headers", "Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-Total-Count, X-Next-Cursor, ETag, Last-Modified");
   res.setHeader("Access-Control-Max-Age", "86400");
 }
 
@@ -181,28 +62,28 @@ export default async function handler(req, res) {
   }
 }
 
-// GET: Fetch all pets from database (includes how_to_get field)
+// Set ETag / Last-Modified for the list and report whether the request's validators still match
+async function applyListValidators(req, res, options) {
+  const { version, lastModified, error } = await fetchPetListVersion(supabase);
+  if (error) return { error, notModified: false };
+
+  const etag = computeETag(version, options);
+  setValidators(res, etag, lastModified);
+  return { error: null, notModified: isNotModified(req, etag, lastModified) };
+}
+
+// GET: Fetch pets from database (includes how_to_get field), optionally filtered, sorted and paginated
 async function handleGet(req, res) {
   const clientIP = getClientIP(req);
   const referer = req.headers.referer || req.headers.origin || '';
   
   // Debug warning: Check if request is from website or direct API call
   const isDirectAPICall = !referer || (!referer.includes('github.io') && !referer.includes('localhost'));
-  
-  // Debug warning: Apply different rate limits based on source
-  const rateLimitKey = `pets_get_${clientIP}`;
-  const cooldownTime = isDirectAPICall ? ONE_HOUR_MS : FIFTEEN_MINUTES_MS;
-  const maxRequests = isDirectAPICall ? 1 : 3; // Direct API: 1 per hour, Website: 3 per 15min
-  
-  const rateCheck = checkRateLimit(rateLimitKey, cooldownTime, maxRequests);
-  
-  if (!rateCheck.allowed) {
-    const waitTime = formatWaitTime(rateCheck.resetTime);
-    console.log(`[Rate Limit] GET /api/pets blocked for IP: ${clientIP} (Direct: ${isDirectAPICall})`);
-    return res.status(429).json({ 
-      error: `Rate limit exceeded. Please try again in ${waitTime}.`,
-      retryAfter: Math.ceil((rateCheck.resetTime - Date.now()) / 1000)
-    });
+
+  // Debug warning: Optional filtering/sorting/pagination, no params keeps the old "everything, id desc" response
+  const { options, errors } = parsePetListQuery(req.query);
+  if (!options) {
+    return res.status(400).json({ error: "Invalid query parameters", fields: errors });
   }
 
   res.setHeader(
@@ -211,73 +92,103 @@ async function handleGet(req, res) {
   );
 
   try {
-    // Debug warning: Now includes how_to_get field
-    const { data: pets, error } = await supabase
-      .from("pets")
-      .select("id, name, rarity, stats, stats_type, value_normal, value_golden, value_rainbow, value_void, image_url, how_to_get, updated_at")
-      .order("id", { ascending: false });
+    // Debug warning: Conditional GET runs before the rate limit so 304 revalidations are free;
+    // plain requests hit the rate limit first so blocked callers cost no version lookup
+    const conditional = isConditionalRequest(req);
+    if (conditional) {
+      const { error: versionError, notModified } = await applyListValidators(req, res, options);
+      if (versionError) {
+        console.error("[Supabase Error]:", versionError);
+        return res.status(500).json({ error: "Failed to fetch pets" });
+      }
+      if (notModified) {
+        return res.status(304).end();
+      }
+    }
+
+    // Debug warning: Apply different rate limits based on source
+    const rateLimitKey = `pets_get_${clientIP}`;
+    const cooldownTime = isDirectAPICall ? ONE_HOUR_MS : FIFTEEN_MINUTES_MS;
+    const maxRequests = isDirectAPICall ? 1 : 3; // Direct API: 1 per hour, Website: 3 per 15min
+
+    const rateCheck = await checkRateLimit(rateLimitKey, cooldownTime, maxRequests);
+    setRateLimitHeaders(res, rateCheck);
+
+    if (!rateCheck.allowed) {
+      const waitTime = formatWaitTime(rateCheck.resetTime);
+      console.log(`[Rate Limit] GET /api/pets blocked for IP: ${clientIP} (Direct: ${isDirectAPICall})`);
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(429).json({ 
+        error: `Rate limit exceeded. Please try again in ${waitTime}.`,
+        retryAfter: Math.ceil((rateCheck.resetTime - Date.now()) / 1000)
+      });
+    }
+
+    if (!conditional) {
+      const { error: versionError } = await applyListValidators(req, res, options);
+      if (versionError) {
+        console.error("[Supabase Error]:", versionError);
+        return res.status(500).json({ error: "Failed to fetch pets" });
+      }
+    }
+
+    const { pets, total, nextCursor, error } = await fetchPetList(supabase, options);
 
     if (error) {
       console.error("[Supabase Error]:", error);
       return res.status(500).json({ error: "Failed to fetch pets" });
     }
 
+    // Body stays a plain array; paging info travels in headers
+    if (total !== null) res.setHeader("X-Total-Count", String(total));
+    if (nextCursor) res.setHeader("X-Next-Cursor", nextCursor);
+
     console.log(`[Rate Limit] GET success - Attempts left: ${rateCheck.attemptsLeft}`);
-    return res.status(200).json(pets || []);
+    // Each row carries its version so the admin panel can send it back when editing
+    return res.status(200).json(pets.map(withPetVersion));
   } catch (err) {
     console.error("[API Error]:", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 }
 
-// POST: Create new pet (admin only, miniadmin cannot create)
+// POST: Create new pet (roles with the create permission, miniadmin cannot create)
 async function handlePost(req, res) {
-  const username = req.headers['x-admin-username'];
-  const password = req.headers['x-admin-password'];
-
-  console.log('[Backend] POST request - Username:', username);
-
   if (!supabaseAdmin) {
     console.error('[Backend] Service role key not configured');
     return res.status(500).json({ error: "Server configuration error" });
   }
 
-  // Verify admin credentials and get role
-  const admin = await verifyAdmin(username, password);
+  // Verify bearer token or admin credentials and get role
+  const { admin } = await authenticateRequest(req);
   if (!admin) {
-    console.log('[Backend] Authentication failed');
+    console.log('[Backend] POST authentication failed');
     return res.status(401).json({ error: "Unauthorized" });
   }
+
+  const username = admin.username;
+  console.log('[Backend] POST request - Username:', username);
   
-  // Debug warning: Miniadmin cannot create pets
-  if (admin.role === 'miniadmin') {
-    console.log('[Backend] Miniadmin attempted to create pet - blocked');
-    return res.status(403).json({ error: "Insufficient permissions. Only admins can create pets." });
+  // Debug warning: Roles without the create permission (e.g. miniadmin) cannot create pets
+  if (!can(admin.role, 'create')) {
+    console.log('[Backend] Role not allowed to create pet - blocked:', admin.role);
+    return res.status(403).json({ error: "Insufficient permissions to create pets." });
   }
 
   try {
-    const { name, rarity, stats, stats_type, value_normal, value_golden, value_rainbow, value_void, image_url, how_to_get } = req.body;
-
-    if (!name || !rarity) {
-      return res.status(400).json({ error: "Name and rarity are required" });
+    // Debug warning: Shared schema validation, defaults come from PET_DEFAULTS
+    const { value: petData, errors } = validatePetPayload(req.body);
+    if (errors) {
+      return res.status(400).json({ error: "Invalid pet data", fields: errors });
     }
 
     const { data: newPet, error } = await supabaseAdmin
       .from("pets")
       .insert([
-        {
-          name,
-          rarity,
-          stats: stats || '0',
-          stats_type: stats_type || 'value',
-          value_normal: value_normal || '0',
-          value_golden: value_golden || '0',
-          value_rainbow: value_rainbow || '0',
-          value_void: value_void || '1',
-          image_url: image_url || null,
-          how_to_get: how_to_get || null,
+        withValueNumbers({
+          ...petData,
           updated_at: new Date().toISOString()
-        }
+        })
       ])
       .select()
       .single();
@@ -287,17 +198,12 @@ async function handlePost(req, res) {
       return res.status(500).json({ error: "Failed to create pet" });
     }
 
-    await logAudit(username, 'ADD', newPet.id, newPet.name, {
-      name,
-      rarity,
-      stats: stats || '0',
-      stats_type: stats_type || 'value',
-      value_normal: value_normal || '0',
-      value_golden: value_golden || '0',
-      value_rainbow: value_rainbow || '0',
-      value_void: value_void || '1',
-      how_to_get: how_to_get || null
-    }, admin.role);
+    await logAudit(username, 'ADD', newPet.id, newPet.name, petData, admin.role);
+    await emitWebhookEvent("pet.added", {
+      actor: { username, role: admin.role || "admin" },
+      pet: { id: newPet.id, name: newPet.name },
+      values: petData
+    });
 
     console.log('[Backend] Pet created successfully:', newPet.id);
     return res.status(201).json(newPet);
@@ -307,25 +213,40 @@ async function handlePost(req, res) {
   }
 }
 
+// 409 with the stored row and how it differs from what the client tried to save (same body as /api/pets/:id)
+function sendConflict(res, currentPet, submitted) {
+  res.setHeader("ETag", getPetETag(currentPet));
+  return res.status(409).json({
+    error: "Pet was changed by someone else since you loaded it",
+    current: withPetVersion(currentPet),
+    diff: diffConflict(currentPet, submitted)
+  });
+}
+
 // PUT: Update existing pet
+// Debug warning: Legacy route kept for old panels; If-Match / version is optional here (required on /api/pets/:id),
+// but the write still only lands while updated_at is what we read, so racing saves get 409 instead of being overwritten
 async function handlePut(req, res) {
-  const username = req.headers['x-admin-username'];
-  const password = req.headers['x-admin-password'];
-
-  console.log('[Backend] PUT request - Username:', username);
-
   if (!supabaseAdmin) {
     console.error('[Backend] Service role key not configured');
     return res.status(500).json({ error: "Server configuration error" });
   }
 
-  // Verify admin credentials and get role
-  const admin = await verifyAdmin(username, password);
+  // Verify bearer token or admin credentials and get role
+  const { admin } = await authenticateRequest(req);
   if (!admin) {
-    console.log('[Backend] Authentication failed');
+    console.log('[Backend] PUT authentication failed');
     return res.status(401).json({ error: "Unauthorized" });
   }
 
+  const username = admin.username;
+  console.log('[Backend] PUT request - Username:', username);
+
+  if (!can(admin.role, 'edit')) {
+    console.log('[Backend] Role not allowed to edit pet - blocked:', admin.role);
+    return res.status(403).json({ error: "Insufficient permissions to edit pets." });
+  }
+
   try {
     const urlParts = req.url.split('/');
     const petId = urlParts[urlParts.length - 1];
@@ -336,120 +257,165 @@ async function handlePut(req, res) {
       return res.status(400).json({ error: "Pet ID is required" });
     }
 
-    // Get current pet data
+    // Get current pet data (pets in the trash cannot be edited)
     const { data: oldPet } = await supabaseAdmin
       .from("pets")
       .select("*")
       .eq("id", petId)
+      .is("deleted_at", null)
       .single();
 
-    const { name, rarity, stats, stats_type, value_normal, value_golden, value_rainbow, value_void, image_url, how_to_get } = req.body;
+    if (!oldPet) {
+      return res.status(404).json({ error: "Pet not found" });
+    }
 
-    if (!name || !rarity) {
-      return res.status(400).json({ error: "Name and rarity are required" });
+    // Debug warning: Read-only fields may be sent unchanged (full rows from the panel), but not changed
+    const refused = findRefusedFields(admin.role, req.body, oldPet);
+    if (refused.length > 0) {
+      console.log('[Backend] Refused fields for role', admin.role, refused);
+      return res.status(403).json(refusedFieldsError(refused));
     }
-    
-    // Debug warning: Miniadmin can only edit the 4 values
-    let updateData = {};
-    if (admin.role === 'miniadmin') {
-      console.log('[Backend] Miniadmin edit - restricting to values only');
-      updateData = {
-        value_normal: value_normal || '0',
-        value_golden: value_golden || '0',
-        value_rainbow: value_rainbow || '0',
-        value_void: value_void || '1',
-        updated_at: new Date().toISOString()
-      };
-    } else {
-      // Full admin can edit everything
-      updateData = {
-        name,
-        rarity,
-        stats: stats || '0',
-        stats_type: stats_type || 'value',
-        value_normal: value_normal || '0',
-        value_golden: value_golden || '0',
-        value_rainbow: value_rainbow || '0',
-        value_void: value_void || '1',
-        image_url: image_url || null,
-        how_to_get: how_to_get || null,
-        updated_at: new Date().toISOString()
-      };
+
+    // Shared schema validation, restricted to the fields this role may write
+    const { value: petData, errors } = validatePetPayload(req.body, { fields: getWritableFields(admin.role), current: oldPet });
+    if (errors) {
+      return res.status(400).json({ error: "Invalid pet data", fields: errors });
+    }
+
+    const expectedVersion = readExpectedVersion(req);
+    if (expectedVersion && !versionMatches(oldPet, expectedVersion)) {
+      console.log('[Backend] PUT version conflict for pet:', petId);
+      return sendConflict(res, oldPet, petData);
+    }
+
+    // Calculate what changed for audit log
+    const changes = diffPetChanges(oldPet, petData);
+    const changedValues = Object.fromEntries(Object.keys(changes).map((field) => [field, petData[field]]));
+
+    // Debug warning: Value-swing and edit-count guardrails for this role (see utils/guardrails.js)
+    if (Object.keys(changes).length > 0) {
+      const { violations, error: guardrailError } = await checkGuardrails(admin, oldPet, changedValues);
+
+      if (guardrailError) {
+        console.error("[Guardrails Error]:", guardrailError);
+        return res.status(500).json({ error: "Failed to check edit limits" });
+      }
+
+      if (violations.length > 0) {
+        if (getGuardrails(admin.role).on_violation === "review") {
+          const { proposal, error: proposalError } = await submitProposal(supabaseAdmin, admin, oldPet, changedValues, changes, violations);
+          if (proposalError) {
+            console.error("[Supabase Error]:", proposalError);
+            return res.status(500).json({ error: "Failed to submit proposal" });
+          }
+          return res.status(202).json({ message: "Edit flagged by guardrails and sent for admin review", proposal, violations });
+        }
+
+        await recordGuardrailBlock(admin, oldPet, violations, changes);
+        return res.status(422).json({ error: "Edit blocked by guardrails", violations });
+      }
     }
 
-    const { data: updatedPet, error } = await supabaseAdmin
+    // Debug warning: Roles that need approval file a proposal instead of writing
+    if (requiresApproval(admin.role)) {
+      if (Object.keys(changes).length === 0) {
+        return res.status(200).json(oldPet);
+      }
+
+      const { proposal, error: proposalError } = await submitProposal(supabaseAdmin, admin, oldPet, changedValues, changes);
+
+      if (proposalError) {
+        console.error("[Supabase Error]:", proposalError);
+        return res.status(500).json({ error: "Failed to submit proposal" });
+      }
+
+      return res.status(202).json({ message: "Changes submitted for admin approval", proposal });
+    }
+
+    const updateData = withValueNumbers({
+      ...petData,
+      updated_at: new Date().toISOString()
+    });
+
+    let updateQuery = supabaseAdmin
       .from("pets")
       .update(updateData)
       .eq("id", petId)
-      .select()
-      .single();
+      .is("deleted_at", null);
+
+    updateQuery = oldPet.updated_at
+      ? updateQuery.eq("updated_at", oldPet.updated_at)
+      : updateQuery.is("updated_at", null);
+
+    const { data: updatedPets, error } = await updateQuery.select();
 
     if (error) {
       console.error("[Supabase Error]:", error);
       return res.status(500).json({ error: "Failed to update pet" });
     }
 
-    if (!updatedPet) {
-      return res.status(404).json({ error: "Pet not found" });
-    }
-
-    // Calculate what changed for audit log
-    const changes = {};
-    if (oldPet) {
-      if (admin.role !== 'miniadmin') {
-        if (oldPet.name !== name) changes.name = { from: oldPet.name, to: name };
-        if (oldPet.rarity !== rarity) changes.rarity = { from: oldPet.rarity, to: rarity };
-        if (oldPet.stats !== stats) changes.stats = { from: oldPet.stats, to: stats };
-        if (oldPet.stats_type !== stats_type) changes.stats_type = { from: oldPet.stats_type, to: stats_type };
-        if (oldPet.image_url !== image_url) changes.image_url = { from: oldPet.image_url ? 'changed' : 'none', to: image_url ? 'changed' : 'none' };
-        if (oldPet.how_to_get !== how_to_get) changes.how_to_get = { from: oldPet.how_to_get ? 'changed' : 'none', to: how_to_get ? 'changed' : 'none' };
+    if (!updatedPets || updatedPets.length === 0) {
+      // Someone saved (or trashed the pet) between our read and write
+      const { data: currentPet } = await supabaseAdmin
+        .from("pets")
+        .select("*")
+        .eq("id", petId)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (!currentPet) {
+        return res.status(404).json({ error: "Pet not found" });
       }
-      // Track value changes for both admin types
-      if (oldPet.value_normal !== value_normal) changes.value_normal = { from: oldPet.value_normal, to: value_normal };
-      if (oldPet.value_golden !== value_golden) changes.value_golden = { from: oldPet.value_golden, to: value_golden };
-      if (oldPet.value_rainbow !== value_rainbow) changes.value_rainbow = { from: oldPet.value_rainbow, to: value_rainbow };
-      if (oldPet.value_void !== value_void) changes.value_void = { from: oldPet.value_void, to: value_void };
+
+      console.log('[Backend] PUT version conflict during update for pet:', petId);
+      return sendConflict(res, currentPet, petData);
     }
 
+    const updatedPet = updatedPets[0];
+
     // Log to audit_log
     await logAudit(username, 'EDIT', updatedPet.id, updatedPet.name, changes, admin.role);
     
-    // Debug warning: Send webhook notification ONLY for miniadmin edits
-    if (admin.role === 'miniadmin' && Object.keys(changes).length > 0) {
-      await sendWebhookNotification(username, updatedPet.name, changes);
+    // Debug warning: announce marks edits legacy (miniadmin_edits) webhooks still want, i.e. roles with notify_edits
+    if (Object.keys(changes).length > 0) {
+      await emitWebhookEvent("pet.edited", {
+        actor: { username, role: admin.role || "admin" },
+        pet: { id: updatedPet.id, name: updatedPet.name },
+        changes,
+        announce: notifiesEdits(admin.role)
+      });
     }
 
     console.log('[Backend] Pet updated successfully:', updatedPet.id);
-    return res.status(200).json(updatedPet);
+    res.setHeader("ETag", getPetETag(updatedPet));
+    return res.status(200).json(withPetVersion(updatedPet));
   } catch (err) {
     console.error("[API Error]:", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 }
 
-// DELETE: Remove pet from database (admin only, miniadmin cannot delete)
+// DELETE: Move pet to the trash (roles with the delete permission)
 async function handleDelete(req, res) {
-  const username = req.headers['x-admin-username'];
-  const password = req.headers['x-admin-password'];
-
-  console.log('[Backend] DELETE request - Username:', username);
-
   if (!supabaseAdmin) {
     console.error('[Backend] Service role key not configured');
     return res.status(500).json({ error: "Server configuration error" });
   }
 
-  // Verify admin credentials and get role
-  const admin = await verifyAdmin(username, password);
+  // Verify bearer token or admin credentials and get role
+  const { admin } = await authenticateRequest(req);
   if (!admin) {
-    console.log('[Backend] Authentication failed');
+    console.log('[Backend] DELETE authentication failed');
     return res.status(401).json({ error: "Unauthorized" });
   }
+
+  const username = admin.username;
+  console.log('[Backend] DELETE request - Username:', username);
   
-  // Debug warning: Miniadmin cannot delete pets
-  if (admin.role === 'miniadmin') {
-    console.log('[Backend] Miniadmin attempted to delete pet - blocked');
-    return res.status(403).json({ error: "Insufficient permissions. Only admins can delete pets." });
+  // Debug warning: Roles without the delete permission (e.g. miniadmin) cannot delete pets
+  if (!can(admin.role, 'delete')) {
+    console.log('[Backend] Role not allowed to delete pet - blocked:', admin.role);
+    return res.status(403).json({ error: "Insufficient permissions to delete pets." });
   }
 
   try {
@@ -462,40 +428,20 @@ async function handleDelete(req, res) {
       return res.status(400).json({ error: "Pet ID is required" });
     }
 
-    const { data: pet } = await supabaseAdmin
-      .from("pets")
-      .select("*")
-      .eq("id", petId)
-      .single();
-
-    const { error } = await supabaseAdmin
-      .from("pets")
-      .delete()
-      .eq("id", petId);
+    // Debug warning: Soft delete - the pet goes to the trash and is purged after the retention period
+    const { pet, error } = await trashPet(supabaseAdmin, petId, admin);
 
     if (error) {
       console.error("[Supabase Error]:", error);
       return res.status(500).json({ error: "Failed to delete pet" });
     }
 
-    if (pet) {
-      await logAudit(username, 'DELETE', pet.id, pet.name, {
-        deleted_pet: {
-          name: pet.name,
-          rarity: pet.rarity,
-          stats: pet.stats,
-          stats_type: pet.stats_type,
-          value_normal: pet.value_normal,
-          value_golden: pet.value_golden,
-          value_rainbow: pet.value_rainbow,
-          value_void: pet.value_void,
-          how_to_get: pet.how_to_get
-        }
-      }, admin.role);
+    if (!pet) {
+      return res.status(404).json({ error: "Pet not found" });
     }
 
-    console.log('[Backend] Pet deleted successfully:', petId);
-    return res.status(200).json({ success: true, message: "Pet deleted" });
+    console.log('[Backend] Pet moved to trash:', petId);
+    return res.status(200).json({ success: true, message: "Pet deleted", purge_after: getPurgeAfter(pet.deleted_at) });
   } catch (err) {
     console.error("[API Error]:", err);
     return res.status(500).json({ error: "Internal server error" });
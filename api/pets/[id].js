@@ -1,15 +1,30 @@
 // File type: Vercel Serverless Function (Node.js API route)
 // Path: /api/pets/[id].js
-// Debug warning: Pet update/delete endpoint with miniadmin role restrictions and validation fixes
+// Debug warning: Pet read/update/patch/delete endpoint with role permission checks and validation fixes
 
 import { createClient } from '@supabase/supabase-js';
+import { authenticateRequest } from '../utils/adminAuth.js';
+import { logAudit, diffPetChanges } from '../utils/audit.js';
+import { trashPet, getPurgeAfter } from '../utils/trash.js';
+import { validatePetPayload, withValueNumbers } from '../utils/petSchema.js';
+import { emitWebhookEvent } from '../utils/webhook.js';
+import { can, getWritableFields, notifiesEdits, requiresApproval, findRefusedFields, refusedFieldsError } from '../utils/permissions.js';
+import { submitProposal } from '../utils/proposals.js';
+import { getGuardrails, checkGuardrails, recordGuardrailBlock } from '../utils/guardrails.js';
+import { checkRateLimit, setRateLimitHeaders, getClientIP, formatWaitTime } from '../utils/rateLimiter.js';
+import { fetchPetByIdOrSlug } from '../utils/petQueries.js';
+import { getPetETag, withPetVersion, readExpectedVersion, versionMatches, diffConflict } from '../utils/petVersion.js';
+
+// Debug warning: Single-pet reads are cheap, so they get a looser limit than the full list
+const SINGLE_GET_WINDOW_MS = 15 * 60 * 1000;
+const SINGLE_GET_MAX_REQUESTS = 30;
 
 // Debug warning: Check if service role key exists on startup
 if (!process.env.SUPABASE_SERVICE_ROLE_KEY) {
   console.error('[FATAL] SUPABASE_SERVICE_ROLE_KEY environment variable is not set!');
 }
 
-// Regular client for authentication checks
+// Regular client for public reads
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_ANON_KEY
@@ -23,106 +38,260 @@ const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
     )
   : null;
 
-// Verify admin credentials against database and return role
-async function verifyAdmin(username, password) {
-  if (!username || !password) return null;
+// GET: Fetch a single pet by numeric id or case-insensitive name slug (same fields as GET /api/pets)
+async function handleGet(req, res) {
+  const clientIP = getClientIP(req);
+  const rateCheck = await checkRateLimit(`pet_get_${clientIP}`, SINGLE_GET_WINDOW_MS, SINGLE_GET_MAX_REQUESTS);
+  setRateLimitHeaders(res, rateCheck);
+
+  if (!rateCheck.allowed) {
+    const waitTime = formatWaitTime(rateCheck.resetTime);
+    console.log(`[Rate Limit] GET /api/pets/:id blocked for IP: ${clientIP}`);
+    return res.status(429).json({
+      error: `Rate limit exceeded. Please try again in ${waitTime}.`,
+      retryAfter: Math.ceil((rateCheck.resetTime - Date.now()) / 1000)
+    });
+  }
 
   try {
-    const { data: admin, error } = await supabase
-      .from('admin_users')
-      .select('id, username, is_active, role')
-      .eq('username', username)
-      .eq('password', password)
-      .eq('is_active', true)
-      .single();
-
-    return !error && admin ? admin : null;
-  } catch (err) {
-    console.error('[Auth Error]', err);
-    return null;
-  }
-}
+    const { pet, error, invalid } = await fetchPetByIdOrSlug(supabase, req.query.id);
 
-// Log action to audit_log table with role info
-async function logAudit(username, actionType, petId, petName, changes, adminRole) {
-  if (!supabaseAdmin) {
-    console.warn('[Audit Warning] Service role key not configured, skipping audit log');
-    return;
-  }
+    if (invalid) {
+      return res.status(400).json({ error: 'Invalid pet ID or name' });
+    }
 
-  try {
-    await supabaseAdmin
-      .from('audit_log')
-      .insert({
-        username,
-        action_type: actionType,
-        pet_id: petId,
-        pet_name: petName,
-        changes: changes || {},
-        admin_role: adminRole || 'admin'
-      });
+    if (error) {
+      console.error('[Backend] GET Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch pet' });
+    }
+
+    if (!pet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+
+    // The ETag doubles as the version clients send back in If-Match when editing
+    res.setHeader('Cache-Control', 'public, max-age=0, s-maxage=1800, stale-while-revalidate=1800');
+    res.setHeader('ETag', getPetETag(pet));
+    return res.status(200).json(withPetVersion(pet));
   } catch (err) {
-    console.error('[Audit Log Error]', err);
+    console.error('[Backend] GET Unexpected error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
   }
 }
 
-// Debug warning: Fetch webhook URL from database only via service role
-async function getWebhookUrl() {
-  if (!supabaseAdmin) return null;
+// 409 with the stored row and how it differs from what the client tried to save
+function sendConflict(res, currentPet, submitted) {
+  res.setHeader('ETag', getPetETag(currentPet));
+  return res.status(409).json({
+    error: 'Pet was changed by someone else since you loaded it',
+    current: withPetVersion(currentPet),
+    diff: diffConflict(currentPet, submitted)
+  });
+}
 
+// PUT/PATCH: Update an existing pet
+// Debug warning: PATCH (partial) only validates and writes the fields sent, so omitted values are never reset
+async function handleUpdate(req, res, petId, { partial }) {
+  const method = req.method;
   try {
-    const { data, error } = await supabaseAdmin
-      .from('webhook_config')
-      .select('webhook_url')
-      .eq('webhook_type', 'miniadmin_edits')
-      .eq('is_active', true)
-      .single();
-
-    if (error || !data) {
-      console.warn('[Webhook] No active webhook found');
-      return null;
+    // Verify bearer token or admin credentials and get role
+    const { admin, reason } = await authenticateRequest(req);
+
+    // Check credentials provided
+    if (reason === 'missing_credentials') {
+      console.log(`[Backend] ${method} Missing credentials`);
+      return res.status(401).json({ error: 'Missing credentials' });
     }
 
-    return data.webhook_url;
-  } catch (err) {
-    console.error('[Webhook Error]', err);
-    return null;
-  }
-}
+    if (!admin) {
+      console.log(`[Backend] ${method} Auth failed`);
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
 
-// Debug warning: Send webhook notification for miniadmin edits
-async function sendWebhookNotification(username, petName, changes) {
-  try {
-    const webhookUrl = await getWebhookUrl();
-    if (!webhookUrl) return;
-
-    // Build embed message with changes
-    const fields = [];
-    if (changes.value_normal) fields.push({ name: 'Normal Value', value: `${changes.value_normal.from} → ${changes.value_normal.to}`, inline: true });
-    if (changes.value_golden) fields.push({ name: 'Golden Value', value: `${changes.value_golden.from} → ${changes.value_golden.to}`, inline: true });
-    if (changes.value_rainbow) fields.push({ name: 'Rainbow Value', value: `${changes.value_rainbow.from} → ${changes.value_rainbow.to}`, inline: true });
-    if (changes.value_void) fields.push({ name: 'Void Value', value: `${changes.value_void.from} → ${changes.value_void.to}`, inline: true });
-
-    const payload = {
-      embeds: [{
-        title: '🔧 Mini-Admin Pet Value Update',
-        description: `**${username}** edited **${petName}**`,
-        color: 0x3b82f6,
-        fields: fields,
-        timestamp: new Date().toISOString(),
-        footer: { text: 'Mini-Admin Edit Log' }
-      }]
-    };
-
-    await fetch(webhookUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
+    const username = admin.username;
+    console.log(`[Backend] ${method} Username:`, username, 'Pet ID:', petId);
+
+    // Debug warning: Permission matrix decides whether this role may edit and which fields
+    if (!can(admin.role, 'edit')) {
+      console.log(`[Backend] ${method} Role not allowed to edit:`, admin.role);
+      return res.status(403).json({ error: 'Insufficient permissions to edit pets.' });
+    }
+
+    // Get old pet data using admin client for audit comparison (pets in the trash cannot be edited)
+    const { data: existingPets, error: checkError } = await supabaseAdmin
+      .from('pets')
+      .select('*')
+      .eq('id', petId)
+      .is('deleted_at', null);
+
+    if (checkError) {
+      console.error(`[Backend] ${method} Error checking pet existence:`, checkError);
+      return res.status(500).json({ error: 'Database error', details: checkError.message });
+    }
+
+    if (!existingPets || existingPets.length === 0) {
+      console.log(`[Backend] ${method} Pet not found:`, petId);
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+
+    const oldPet = existingPets[0];
+    console.log(`[Backend] ${method} Found existing pet:`, oldPet.name);
+
+    // Debug warning: Writes must say which version they were based on, so concurrent edits are not lost
+    const expectedVersion = readExpectedVersion(req);
+    if (!expectedVersion) {
+      console.log(`[Backend] ${method} Missing version for pet:`, petId);
+      return res.status(428).json({ error: 'Missing pet version. Send If-Match or a version field from your last read.' });
+    }
+
+    // Read-only fields may be sent unchanged (full rows from the panel), but not changed
+    const refused = findRefusedFields(admin.role, req.body, oldPet);
+    if (refused.length > 0) {
+      console.log(`[Backend] ${method} Refused fields for role`, admin.role, refused);
+      return res.status(403).json(refusedFieldsError(refused));
+    }
+
+    // Shared schema validation, restricted to the fields this role may write
+    const { value: petData, errors } = validatePetPayload(req.body, { partial, fields: getWritableFields(admin.role), current: oldPet });
+
+    console.log(`[Backend] ${method} Role:`, admin.role, 'Received data:', petData);
+
+    if (errors) {
+      console.log(`[Backend] ${method} Invalid pet data:`, errors);
+      return res.status(400).json({ error: 'Invalid pet data', fields: errors });
+    }
+
+    if (!versionMatches(oldPet, expectedVersion)) {
+      console.log(`[Backend] ${method} Version conflict for pet:`, petId);
+      return sendConflict(res, oldPet, petData);
+    }
+
+    if (partial && Object.keys(petData).length === 0) {
+      console.log(`[Backend] ${method} No writable fields supplied`);
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    // Calculate what changed (only fields present in the payload are compared)
+    const changes = diffPetChanges(oldPet, petData);
+
+    // Debug warning: A PATCH that changes nothing is not written or audited
+    if (partial && Object.keys(changes).length === 0) {
+      console.log(`[Backend] ${method} No changes for pet:`, petId);
+      res.setHeader('ETag', getPetETag(oldPet));
+      return res.status(200).json(withPetVersion(oldPet));
+    }
+
+    const changedValues = Object.fromEntries(Object.keys(changes).map((field) => [field, petData[field]]));
+
+    // Debug warning: Value-swing and edit-count guardrails for this role (see utils/guardrails.js)
+    if (Object.keys(changes).length > 0) {
+      const { violations, error: guardrailError } = await checkGuardrails(admin, oldPet, changedValues);
+
+      if (guardrailError) {
+        console.error(`[Backend] ${method} Guardrail check failed:`, guardrailError);
+        return res.status(500).json({ error: 'Failed to check edit limits', details: guardrailError.message });
+      }
+
+      if (violations.length > 0) {
+        console.log(`[Backend] ${method} Guardrails tripped for pet:`, petId, violations.map((v) => v.rule));
+
+        if (getGuardrails(admin.role).on_violation === 'review') {
+          const { proposal, error: proposalError } = await submitProposal(supabaseAdmin, admin, oldPet, changedValues, changes, violations);
+          if (proposalError) {
+            console.error(`[Backend] ${method} Failed to create proposal:`, proposalError);
+            return res.status(500).json({ error: 'Failed to submit proposal', details: proposalError.message });
+          }
+          return res.status(202).json({ message: 'Edit flagged by guardrails and sent for admin review', proposal, violations });
+        }
+
+        await recordGuardrailBlock(admin, oldPet, violations, changes);
+        return res.status(422).json({ error: 'Edit blocked by guardrails', violations });
+      }
+    }
+
+    // Debug warning: Roles that need approval (optional, see permissions.js) file a proposal instead of writing
+    if (requiresApproval(admin.role)) {
+      if (Object.keys(changes).length === 0) {
+        res.setHeader('ETag', getPetETag(oldPet));
+        return res.status(200).json(withPetVersion(oldPet));
+      }
+
+      const { proposal, error: proposalError } = await submitProposal(supabaseAdmin, admin, oldPet, changedValues, changes);
+
+      if (proposalError) {
+        console.error(`[Backend] ${method} Failed to create proposal:`, proposalError);
+        return res.status(500).json({ error: 'Failed to submit proposal', details: proposalError.message });
+      }
+
+      console.log(`[Backend] ${method} Proposal created:`, proposal.id, 'for pet:', petId);
+      return res.status(202).json({ message: 'Changes submitted for admin approval', proposal });
+    }
+
+    // PATCH writes only the changed columns, PUT writes the full row
+    const updateData = withValueNumbers({
+      ...(partial ? changedValues : petData),
+      updated_at: new Date().toISOString()
     });
 
-    console.log('[Webhook] Notification sent for', petName);
+    // Perform update using admin client (bypasses RLS)
+    // Only matches while updated_at is still what we read, so a save racing in between is not overwritten
+    let updateQuery = supabaseAdmin
+      .from('pets')
+      .update(updateData)
+      .eq('id', petId)
+      .is('deleted_at', null);
+
+    updateQuery = oldPet.updated_at
+      ? updateQuery.eq('updated_at', oldPet.updated_at)
+      : updateQuery.is('updated_at', null);
+
+    const { data: updatedPets, error } = await updateQuery.select();
+
+    if (error) {
+      console.error(`[Backend] ${method} Supabase update error:`, error);
+      return res.status(500).json({ error: 'Failed to update pet', details: error.message });
+    }
+
+    if (!updatedPets || updatedPets.length === 0) {
+      // Someone saved (or trashed the pet) between our read and write
+      const { data: currentPet } = await supabaseAdmin
+        .from('pets')
+        .select('*')
+        .eq('id', petId)
+        .is('deleted_at', null)
+        .maybeSingle();
+
+      if (!currentPet) {
+        console.log(`[Backend] ${method} Pet disappeared during update:`, petId);
+        return res.status(404).json({ error: 'Pet not found' });
+      }
+
+      console.log(`[Backend] ${method} Version conflict during update for pet:`, petId);
+      return sendConflict(res, currentPet, petData);
+    }
+
+    const updatedPet = updatedPets[0];
+
+    // Log to audit_log table
+    await logAudit(username, 'EDIT', updatedPet.id, updatedPet.name, changes, admin.role);
+
+    // Debug warning: announce marks edits legacy (miniadmin_edits) webhooks still want, i.e. roles with notify_edits
+    if (Object.keys(changes).length > 0) {
+      await emitWebhookEvent('pet.edited', {
+        actor: { username, role: admin.role || 'admin' },
+        pet: { id: updatedPet.id, name: updatedPet.name },
+        changes,
+        announce: notifiesEdits(admin.role)
+      });
+    }
+
+    console.log(`[Backend] ${method} Success - updated pet:`, updatedPet.id);
+    res.setHeader('ETag', getPetETag(updatedPet));
+    return res.status(200).json(withPetVersion(updatedPet));
+
   } catch (err) {
-    console.error('[Webhook Send Error]', err);
+    console.error(`[Backend] ${method} Unexpected error:`, err);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
   }
 }
 
@@ -130,8 +299,9 @@ export default async function handler(req, res) {
   // Set CORS headers for cross-origin requests
   res.setHeader('Access-Control-Allow-Credentials', 'true');
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, X-Admin-Username, X-Admin-Password');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization, If-Match, X-Admin-Username, X-Admin-Password, X-Admin-OTP');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, ETag');
 
   // Handle preflight OPTIONS request
   if (req.method === 'OPTIONS') {
@@ -139,6 +309,11 @@ export default async function handler(req, res) {
     return;
   }
 
+  // GET is public and only needs the regular client
+  if (req.method === 'GET') {
+    return handleGet(req, res);
+  }
+
   // Check if admin client is available
   if (!supabaseAdmin) {
     console.error('[Backend] SUPABASE_SERVICE_ROLE_KEY not configured');
@@ -156,205 +331,57 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'Invalid pet ID' });
   }
 
-  // PUT: Update existing pet
+  // PUT: Replace existing pet (omitted fields fall back to defaults)
   if (req.method === 'PUT') {
-    try {
-      const username = req.headers['x-admin-username'];
-      const password = req.headers['x-admin-password'];
-
-      console.log('[Backend] PUT Username:', username, 'Pet ID:', petId);
-
-      // Check credentials provided
-      if (!username || !password) {
-        console.log('[Backend] PUT Missing credentials');
-        return res.status(401).json({ error: 'Missing credentials' });
-      }
-
-      // Verify admin credentials and get role
-      const admin = await verifyAdmin(username, password);
-      if (!admin) {
-        console.log('[Backend] PUT Auth failed');
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
-
-      // Debug warning: Extract all fields including how_to_get
-      const { name, rarity, stats, stats_type, value_normal, value_golden, value_rainbow, value_void, image_url, how_to_get } = req.body;
-
-      console.log('[Backend] PUT Role:', admin.role, 'Received data:', { name, rarity, stats, stats_type, value_normal, value_golden, value_rainbow, value_void });
-
-      // Get old pet data using admin client for audit comparison
-      const { data: existingPets, error: checkError } = await supabaseAdmin
-        .from('pets')
-        .select('*')
-        .eq('id', petId);
-
-      if (checkError) {
-        console.error('[Backend] PUT Error checking pet existence:', checkError);
-        return res.status(500).json({ error: 'Database error', details: checkError.message });
-      }
-
-      if (!existingPets || existingPets.length === 0) {
-        console.log('[Backend] PUT Pet not found:', petId);
-        return res.status(404).json({ error: 'Pet not found' });
-      }
-
-      const oldPet = existingPets[0];
-      console.log('[Backend] PUT Found existing pet:', oldPet.name);
-
-      // Debug warning: Miniadmin can only edit the 4 values - NO name/rarity validation needed
-      let updateData;
-      if (admin.role === 'miniadmin') {
-        console.log('[Backend] PUT Miniadmin edit - restricting to values only');
-        updateData = {
-          value_normal: value_normal || '0',
-          value_golden: value_golden || '0',
-          value_rainbow: value_rainbow || '0',
-          value_void: value_void || '0',
-          updated_at: new Date().toISOString()
-        };
-      } else {
-        // Debug warning: Full admin validation - name and rarity required
-        if (!name || !rarity) {
-          console.log('[Backend] PUT Missing required fields for admin');
-          return res.status(400).json({ error: 'Name and rarity are required' });
-        }
-
-        // Full admin can edit everything
-        updateData = {
-          name,
-          rarity,
-          stats: stats || '0',
-          stats_type: stats_type || 'value',
-          value_normal: value_normal || '0',
-          value_golden: value_golden || '0',
-          value_rainbow: value_rainbow || '0',
-          value_void: value_void || '0',
-          image_url: image_url || null,
-          how_to_get: how_to_get || null,
-          updated_at: new Date().toISOString()
-        };
-      }
-
-      // Perform update using admin client (bypasses RLS)
-      const { data: updatedPets, error } = await supabaseAdmin
-        .from('pets')
-        .update(updateData)
-        .eq('id', petId)
-        .select();
-
-      if (error) {
-        console.error('[Backend] PUT Supabase update error:', error);
-        return res.status(500).json({ error: 'Failed to update pet', details: error.message });
-      }
-
-      if (!updatedPets || updatedPets.length === 0) {
-        console.error('[Backend] PUT Update returned no rows');
-        return res.status(500).json({ error: 'Update failed - no rows affected' });
-      }
-
-      const updatedPet = updatedPets[0];
-
-      // Calculate what changed for audit log
-      const changes = {};
-
-      if (admin.role !== 'miniadmin') {
-        // Track all changes for full admins
-        if (oldPet.name !== name) changes.name = { from: oldPet.name, to: name };
-        if (oldPet.rarity !== rarity) changes.rarity = { from: oldPet.rarity, to: rarity };
-        if (oldPet.stats !== stats) changes.stats = { from: oldPet.stats, to: stats };
-        if (oldPet.stats_type !== stats_type) changes.stats_type = { from: oldPet.stats_type, to: stats_type };
-        if (oldPet.image_url !== image_url) changes.image_url = { from: oldPet.image_url || '(none)', to: image_url || '(none)' };
-        if (oldPet.how_to_get !== how_to_get) changes.how_to_get = { from: oldPet.how_to_get || '(none)', to: how_to_get || '(none)' };
-      }
-
-      // Track value changes for both admin types
-      if (oldPet.value_normal !== value_normal) changes.value_normal = { from: oldPet.value_normal, to: value_normal };
-      if (oldPet.value_golden !== value_golden) changes.value_golden = { from: oldPet.value_golden, to: value_golden };
-      if (oldPet.value_rainbow !== value_rainbow) changes.value_rainbow = { from: oldPet.value_rainbow, to: value_rainbow };
-      if (oldPet.value_void !== value_void) changes.value_void = { from: oldPet.value_void, to: value_void };
-
-      // Log to audit_log table
-      await logAudit(username, 'EDIT', updatedPet.id, updatedPet.name, changes, admin.role);
-
-      // Debug warning: Send webhook notification ONLY for miniadmin edits
-      if (admin.role === 'miniadmin' && Object.keys(changes).length > 0) {
-        await sendWebhookNotification(username, updatedPet.name, changes);
-      }
-
-      console.log('[Backend] PUT Success - updated pet:', updatedPet.id);
-      return res.status(200).json(updatedPet);
+    return handleUpdate(req, res, petId, { partial: false });
+  }
 
-    } catch (err) {
-      console.error('[Backend] PUT Unexpected error:', err);
-      return res.status(500).json({ error: 'Internal server error', details: err.message });
-    }
+  // PATCH: Update only the fields present in the body
+  if (req.method === 'PATCH') {
+    return handleUpdate(req, res, petId, { partial: true });
   }
 
-  // DELETE: Remove pet from database (admin only, miniadmin cannot delete)
+  // DELETE: Move pet to the trash (roles with the delete permission)
   if (req.method === 'DELETE') {
     try {
-      const username = req.headers['x-admin-username'];
-      const password = req.headers['x-admin-password'];
-
-      console.log('[Backend] DELETE Username:', username, 'Pet ID:', petId);
+      // Verify bearer token or admin credentials and get role
+      const { admin, reason } = await authenticateRequest(req);
 
       // Check credentials provided
-      if (!username || !password) {
+      if (reason === 'missing_credentials') {
         console.log('[Backend] DELETE Missing credentials');
         return res.status(401).json({ error: 'Missing credentials' });
       }
 
-      // Verify admin credentials and get role
-      const admin = await verifyAdmin(username, password);
       if (!admin) {
         console.log('[Backend] DELETE Auth failed');
         return res.status(401).json({ error: 'Unauthorized' });
       }
 
-      // Debug warning: Miniadmin cannot delete pets
-      if (admin.role === 'miniadmin') {
-        console.log('[Backend] DELETE Miniadmin attempted to delete pet - blocked');
-        return res.status(403).json({ error: 'Insufficient permissions. Only admins can delete pets.' });
-      }
-
-      // Get pet data before deletion using admin client for audit log
-      const { data: pets } = await supabaseAdmin
-        .from('pets')
-        .select('*')
-        .eq('id', petId);
+      const username = admin.username;
+      console.log('[Backend] DELETE Username:', username, 'Pet ID:', petId);
 
-      const pet = pets && pets.length > 0 ? pets[0] : null;
+      // Debug warning: Roles without the delete permission (e.g. miniadmin) cannot delete pets
+      if (!can(admin.role, 'delete')) {
+        console.log('[Backend] DELETE Role not allowed to delete:', admin.role);
+        return res.status(403).json({ error: 'Insufficient permissions to delete pets.' });
+      }
 
-      // Delete using admin client (bypasses RLS)
-      const { error } = await supabaseAdmin
-        .from('pets')
-        .delete()
-        .eq('id', petId);
+      // Debug warning: Soft delete - the pet goes to the trash and is purged after the retention period
+      const { pet, error } = await trashPet(supabaseAdmin, petId, admin);
 
       if (error) {
         console.error('[Backend] DELETE Supabase error:', error);
         return res.status(500).json({ error: 'Failed to delete pet', details: error.message });
       }
 
-      // Log deleted pet data to audit_log
-      if (pet) {
-        await logAudit(username, 'DELETE', pet.id, pet.name, {
-          deleted_pet: {
-            name: pet.name,
-            rarity: pet.rarity,
-            stats: pet.stats,
-            stats_type: pet.stats_type,
-            value_normal: pet.value_normal,
-            value_golden: pet.value_golden,
-            value_rainbow: pet.value_rainbow,
-            value_void: pet.value_void,
-            how_to_get: pet.how_to_get
-          }
-        }, admin.role);
+      if (!pet) {
+        console.log('[Backend] DELETE Pet not found:', petId);
+        return res.status(404).json({ error: 'Pet not found' });
       }
 
-      console.log('[Backend] DELETE Success:', petId);
-      return res.status(200).json({ success: true, message: 'Pet deleted' });
+      console.log('[Backend] DELETE Moved to trash:', petId);
+      return res.status(200).json({ success: true, message: 'Pet deleted', purge_after: getPurgeAfter(pet.deleted_at) });
 
     } catch (err) {
       console.error('[Backend] DELETE Unexpected error:', err);
@@ -363,6 +390,7 @@ export default async function handler(req, res) {
   }
 
   // Method not allowed
+  res.setHeader('Allow', 'GET, PUT, PATCH, DELETE, OPTIONS');
   return res.status(405).json({ error: 'Method not allowed' });
 }
 
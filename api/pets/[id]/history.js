@@ -0,0 +1,173 @@
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/pets/[id]/history.js
+// Debug warning: Value history per variant, rebuilt from audit_log entries written by logAudit
+
+import { createClient } from '@supabase/supabase-js';
+import { authenticateRequest } from '../../utils/adminAuth.js';
+import { checkRateLimit, setRateLimitHeaders, getClientIP, formatWaitTime } from '../../utils/rateLimiter.js';
+import { fetchPetByIdOrSlug } from '../../utils/petQueries.js';
+
+const HISTORY_WINDOW_MS = 15 * 60 * 1000;
+const HISTORY_MAX_REQUESTS = 30;
+const MAX_HISTORY_ENTRIES = 1000;
+
+// Only these audit actions record pet values (top-level value_* keys); the rest are left out before the cap
+const VALUE_ACTIONS = ['ADD', 'EDIT', 'RESTORE'];
+
+// Audit keys -> series names in the response
+const VALUE_VARIANTS = {
+  value_normal: 'normal',
+  value_golden: 'golden',
+  value_rainbow: 'rainbow',
+  value_void: 'void'
+};
+
+// Regular client for public reads
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+// Admin client with service role key (bypasses RLS), audit_log is not public
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    )
+  : null;
+
+// ADD entries store plain values, EDIT entries store { from, to }
+function extractValue(change) {
+  if (change === null || change === undefined) return undefined;
+  if (typeof change === 'object') return 'to' in change ? change.to : undefined;
+  return change;
+}
+
+// Turn audit rows (oldest first) into one time series per variant
+function buildValueHistory(entries, anonymize) {
+  const series = { normal: [], golden: [], rainbow: [], void: [] };
+
+  for (const entry of entries) {
+    const changes = entry.changes || {};
+    const editor = anonymize
+      ? { role: entry.admin_role || 'admin' }
+      : { username: entry.username, role: entry.admin_role || 'admin' };
+
+    for (const [column, variant] of Object.entries(VALUE_VARIANTS)) {
+      const value = extractValue(changes[column]);
+      if (value === undefined) continue;
+
+      series[variant].push({
+        at: entry.created_at,
+        value,
+        action: entry.action_type,
+        editor
+      });
+    }
+  }
+
+  return series;
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Username, X-Admin-Password, X-Admin-OTP');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET, OPTIONS');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!supabaseAdmin) {
+    console.error('[Backend] SUPABASE_SERVICE_ROLE_KEY not configured');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  // Debug warning: Admins see editor usernames, everyone else only sees the editor's role
+  const { admin, reason } = await authenticateRequest(req);
+  if (!admin && reason !== 'missing_credentials') {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  const anonymize = !admin;
+
+  if (anonymize) {
+    const clientIP = getClientIP(req);
+    const rateCheck = await checkRateLimit(`pet_history_${clientIP}`, HISTORY_WINDOW_MS, HISTORY_MAX_REQUESTS);
+    setRateLimitHeaders(res, rateCheck);
+
+    if (!rateCheck.allowed) {
+      const waitTime = formatWaitTime(rateCheck.resetTime);
+      return res.status(429).json({
+        error: `Rate limit exceeded. Please try again in ${waitTime}.`,
+        retryAfter: Math.ceil((rateCheck.resetTime - Date.now()) / 1000)
+      });
+    }
+  }
+
+  try {
+    const { pet, error: petError, invalid } = await fetchPetByIdOrSlug(supabase, req.query.id);
+
+    if (invalid) {
+      return res.status(400).json({ error: 'Invalid pet ID or name' });
+    }
+
+    if (petError) {
+      console.error('[Backend] HISTORY Supabase error:', petError);
+      return res.status(500).json({ error: 'Failed to fetch pet' });
+    }
+
+    // Deleted pets keep their history, so a numeric id without a live row is still looked up
+    const petId = pet ? pet.id : (/^\d+$/.test(String(req.query.id)) ? parseInt(req.query.id, 10) : null);
+    if (petId === null) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+
+    // Newest entries first so the cap drops the oldest changes; one extra row tells us the history was cut
+    const { data: newestFirst, error } = await supabaseAdmin
+      .from('audit_log')
+      .select('username, action_type, pet_name, changes, admin_role, created_at')
+      .eq('pet_id', petId)
+      .in('action_type', VALUE_ACTIONS)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(MAX_HISTORY_ENTRIES + 1);
+
+    if (error) {
+      console.error('[Backend] HISTORY Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch history' });
+    }
+
+    const truncated = (newestFirst || []).length > MAX_HISTORY_ENTRIES;
+    const entries = (newestFirst || []).slice(0, MAX_HISTORY_ENTRIES).reverse();
+
+    if (!pet && entries.length === 0) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+
+    res.setHeader('Cache-Control', anonymize
+      ? 'public, max-age=0, s-maxage=300, stale-while-revalidate=300'
+      : 'private, no-store');
+
+    return res.status(200).json({
+      pet_id: petId,
+      pet_name: pet ? pet.name : entries[entries.length - 1].pet_name ?? null,
+      series: buildValueHistory(entries, anonymize),
+      // Only the newest MAX_HISTORY_ENTRIES value entries were used; older points are missing
+      truncated
+    });
+  } catch (err) {
+    console.error('[Backend] HISTORY Unexpected error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/pets/[id]/history.js
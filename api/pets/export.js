@@ -0,0 +1,87 @@
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/pets/export.js
+// Debug warning: Full value list export for admins, ?format=json (default) or ?format=csv
+
+import { createClient } from '@supabase/supabase-js';
+import { authenticateRequest } from '../utils/adminAuth.js';
+import { PET_PUBLIC_COLUMNS, fetchAllPets } from '../utils/petQueries.js';
+import { toCsv } from '../utils/csv.js';
+
+// Same columns as GET /api/pets, in the same order
+const EXPORT_COLUMNS = PET_PUBLIC_COLUMNS.split(',').map((column) => column.trim());
+
+// Admin client with service role key (bypasses RLS)
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    )
+  : null;
+
+export default async function handler(req, res) {
+  // Set CORS headers for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Username, X-Admin-Password, X-Admin-OTP');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET, OPTIONS');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!supabaseAdmin) {
+    console.error('[Backend] SUPABASE_SERVICE_ROLE_KEY not configured');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  const format = req.query.format || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    return res.status(400).json({ error: 'format must be json or csv' });
+  }
+
+  try {
+    // Verify bearer token or admin credentials and get role
+    const { admin, reason } = await authenticateRequest(req);
+
+    if (reason === 'missing_credentials') {
+      return res.status(401).json({ error: 'Missing credentials' });
+    }
+
+    if (!admin) {
+      console.log('[Backend] EXPORT Auth failed');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { pets, error } = await fetchAllPets(supabaseAdmin);
+
+    if (error) {
+      console.error('[Backend] EXPORT Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to export pets', details: error.message });
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader('Content-Disposition', `attachment; filename="pets-${stamp}.${format}"`);
+
+    console.log('[Backend] EXPORT', format, 'by', admin.username, '-', (pets || []).length, 'pets');
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.status(200).send(toCsv(pets || [], EXPORT_COLUMNS));
+    }
+
+    return res.status(200).json(pets || []);
+  } catch (err) {
+    console.error('[Backend] EXPORT Unexpected error:', err);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
+  }
+}
+
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/pets/export.js
@@ -0,0 +1,372 @@
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/pets/import.js
+// Debug warning: Bulk import for admins - JSON array or CSV (same columns as /api/pets/export)
+//   POST ?dry_run=true (default)  returns the diff: create / update / unchanged / error per row
+//   POST ?dry_run=false           applies it, one audit_log entry per created or changed pet
+// Rows match existing pets by id when given, otherwise by name (case-insensitive)
+// The permission matrix applies per row: creates need create, changes need edit on each changed field
+// Updates only land while the pet is unchanged since the plan was made; others come back as row errors with status 409
+
+import { createClient } from '@supabase/supabase-js';
+import { authenticateRequest } from '../utils/adminAuth.js';
+import { logAudit } from '../utils/audit.js';
+import { emitWebhookEvent } from '../utils/webhook.js';
+import { parseCsv } from '../utils/csv.js';
+import { fetchAllPets } from '../utils/petQueries.js';
+import { validatePetPayload, withValueNumbers, VALUE_FIELDS } from '../utils/petSchema.js';
+import { parsePetValue } from '../utils/petValues.js';
+import { can, getWritableFields, requiresApproval, refusedFieldsError } from '../utils/permissions.js';
+import { findValueSwings, needsLastValues, fetchLastValues, checkEditQuota, recordGuardrailBlock } from '../utils/guardrails.js';
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Admin client with service role key (bypasses RLS)
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    )
+  : null;
+
+// Empty cells, missing JSON fields and null all mean "no value"
+function normalize(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+// Value fields compare by amount, so a legacy "1500000" matches the canonical "1.5M"
+function isSameValue(field, stored, incoming) {
+  if (VALUE_FIELDS.includes(field)) {
+    const amount = parsePetValue(stored);
+    if (amount !== null) return amount === parsePetValue(incoming);
+  }
+  return normalize(stored) === normalize(incoming);
+}
+
+// Accepts a JSON array, { format: 'csv', data: '...' } or a raw text/csv body
+function readRows(req) {
+  let body = req.body;
+  if (Buffer.isBuffer(body)) body = body.toString('utf8');
+
+  const contentType = req.headers['content-type'] || '';
+  if (typeof body === 'string') {
+    return contentType.includes('csv') ? parseCsv(body) : JSON.parse(body);
+  }
+
+  if (body && body.format === 'csv' && typeof body.data === 'string') {
+    return parseCsv(body.data);
+  }
+
+  return body;
+}
+
+// Values an update row would write, from its { field: { from, to } } changes
+function changedValues(changes) {
+  return Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to]));
+}
+
+// Work out what each row would do without touching the database (lastValues: see fetchLastValues)
+function planImport(rows, existingPets, role, lastValues = new Map()) {
+  const byId = new Map(existingPets.map((pet) => [pet.id, pet]));
+  const byName = new Map(existingPets.map((pet) => [pet.name.toLowerCase(), pet]));
+  const seenNames = new Set();
+
+  return rows.map((raw, index) => {
+    const row = raw && typeof raw === 'object' ? raw : {};
+    const label = { row: index + 1, name: normalize(row.name) };
+
+    const id = normalize(row.id);
+
+    let match = null;
+    if (id !== null) {
+      match = byId.get(Number(id));
+      if (!match) return { ...label, action: 'error', error: `Unknown pet id ${id}` };
+    } else if (label.name) {
+      match = byName.get(label.name.toLowerCase()) || null;
+    }
+
+    // Same schema as POST/PUT; only the columns present in the row are considered
+    const { value: fields, errors } = validatePetPayload(row, { partial: true, current: match });
+    if (errors) {
+      return { ...label, action: 'error', error: 'Invalid pet data', fields: errors };
+    }
+
+    // Matched by name, so a difference in letter case alone is not a rename
+    if (match && id === null) fields.name = match.name;
+
+    const nameKey = (fields.name || match?.name || '').toLowerCase();
+    if (nameKey && seenNames.has(nameKey)) {
+      return { ...label, action: 'error', error: 'Pet appears more than once in the import' };
+    }
+    if (nameKey) seenNames.add(nameKey);
+
+    if (match && match.deleted_at) {
+      return { ...label, id: match.id, action: 'error', error: 'Pet is in the trash' };
+    }
+
+    if (!match) {
+      if (!can(role, 'create')) {
+        return { ...label, action: 'error', error: 'Insufficient permissions to create pets.' };
+      }
+      // Full validation for creates: name and rarity required, defaults filled in
+      const { value: data, errors: createErrors } = validatePetPayload(row);
+      if (createErrors) {
+        return { ...label, action: 'error', error: 'Invalid pet data', fields: createErrors };
+      }
+      return { ...label, action: 'create', data };
+    }
+
+    const changes = {};
+    for (const [field, value] of Object.entries(fields)) {
+      if (!isSameValue(field, match[field], value)) {
+        changes[field] = { from: match[field] ?? null, to: value };
+      }
+    }
+
+    const nameOwner = changes.name ? byName.get(changes.name.to.toLowerCase()) : null;
+    if (nameOwner && nameOwner !== match) {
+      return { ...label, id: match.id, action: 'error', error: 'Another pet already has this name' };
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return { ...label, id: match.id, name: match.name, action: 'unchanged' };
+    }
+
+    // Debug warning: Only the role's writable fields may change - unchanged extra columns (e.g. from an export) are fine
+    if (!can(role, 'edit')) {
+      return { ...label, id: match.id, action: 'error', error: 'Insufficient permissions to edit pets.' };
+    }
+
+    // Edits that need approval go through the pet editor one at a time, not bulk import
+    if (requiresApproval(role)) {
+      return { ...label, id: match.id, action: 'error', error: 'Edits by this role need admin approval and cannot be imported.' };
+    }
+
+    const writable = getWritableFields(role);
+    const refused = Object.keys(changes).filter((field) => !writable.includes(field));
+    if (refused.length > 0) {
+      return { ...label, id: match.id, action: 'error', ...refusedFieldsError(refused) };
+    }
+
+    // Value-swing guardrail per row; edit-count limits are checked for the whole file afterwards
+    const swings = findValueSwings(role, match, changedValues(changes), lastValues.get(match.id));
+    if (swings.length > 0) {
+      return { ...label, id: match.id, name: match.name, action: 'error', error: 'Edit blocked by guardrails', violations: swings, changes };
+    }
+
+    return { ...label, id: match.id, name: match.name, action: 'update', changes };
+  });
+}
+
+function summarize(plan) {
+  const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+  for (const entry of plan) summary[entry.action]++;
+  return summary;
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Username, X-Admin-Password, X-Admin-OTP');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST, OPTIONS');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!supabaseAdmin) {
+    console.error('[Backend] SUPABASE_SERVICE_ROLE_KEY not configured');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  try {
+    // Verify bearer token or admin credentials and get role
+    const { admin, reason } = await authenticateRequest(req);
+
+    if (reason === 'missing_credentials') {
+      return res.status(401).json({ error: 'Missing credentials' });
+    }
+
+    if (!admin) {
+      console.log('[Backend] IMPORT Auth failed');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    let rows;
+    try {
+      rows = readRows(req);
+    } catch (parseErr) {
+      return res.status(400).json({ error: 'Could not parse import', details: parseErr.message });
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ error: 'Import must be a non-empty JSON array or CSV with a header row' });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `Import is limited to ${MAX_IMPORT_ROWS} rows` });
+    }
+
+    const dryRun = req.query.dry_run !== 'false';
+
+    // Trashed pets are loaded too so their names are not silently reused
+    const { pets: existingPets, error: loadError } = await fetchAllPets(supabaseAdmin, { columns: '*', includeDeleted: true });
+
+    if (loadError) {
+      console.error('[Backend] IMPORT Supabase error:', loadError);
+      return res.status(500).json({ error: 'Failed to load pets', details: loadError.message });
+    }
+
+    let plan = planImport(rows, existingPets || [], admin.role);
+
+    // Values moving away from 0 or empty are checked against the pet's last value, which needs a second pass
+    const byId = new Map((existingPets || []).map((pet) => [pet.id, pet]));
+    const unpricedIds = plan
+      .filter((entry) => entry.action === 'update' && needsLastValues(admin.role, byId.get(entry.id), changedValues(entry.changes)))
+      .map((entry) => entry.id);
+
+    if (unpricedIds.length > 0) {
+      const { lastValues, error: lastValuesError } = await fetchLastValues(unpricedIds);
+      if (lastValuesError) {
+        console.error('[Backend] IMPORT Guardrail check failed:', lastValuesError);
+        return res.status(500).json({ error: 'Failed to check edit limits', details: lastValuesError.message });
+      }
+      plan = planImport(rows, existingPets || [], admin.role, lastValues);
+    }
+
+    // Edit-count guardrails apply to all updates in the file together
+    const updateIds = plan.filter((entry) => entry.action === 'update').map((entry) => entry.id);
+    const { violations: quotaViolations, error: quotaError } = updateIds.length > 0
+      ? await checkEditQuota(admin, updateIds)
+      : { violations: [], error: null };
+
+    if (quotaError) {
+      console.error('[Backend] IMPORT Guardrail check failed:', quotaError);
+      return res.status(500).json({ error: 'Failed to check edit limits', details: quotaError.message });
+    }
+
+    for (const violation of quotaViolations.filter((v) => v.pet_id !== undefined)) {
+      plan.forEach((entry, index) => {
+        if (entry.action === 'update' && entry.id === violation.pet_id) {
+          plan[index] = { ...entry, action: 'error', error: 'Edit blocked by guardrails', violations: [violation] };
+        }
+      });
+    }
+
+    const importViolations = quotaViolations.filter((v) => v.pet_id === undefined);
+    const summary = summarize(plan);
+
+    console.log('[Backend] IMPORT by', admin.username, dryRun ? '(dry run)' : '(apply)', summary);
+
+    if (dryRun) {
+      return res.status(200).json({ dry_run: true, summary, rows: plan, violations: importViolations });
+    }
+
+    // Debug warning: Guardrail hits on a real import are flagged in audit_log and the webhook like single edits
+    for (const entry of plan.filter((e) => e.violations)) {
+      await recordGuardrailBlock(admin, { id: entry.id, name: entry.name }, entry.violations, entry.changes || {});
+    }
+
+    if (importViolations.length > 0) {
+      await recordGuardrailBlock(admin, { id: null, name: `${updateIds.length} pets (import)` }, importViolations, {});
+      return res.status(422).json({ error: 'Import blocked by guardrails, nothing was applied', dry_run: false, summary, rows: plan, violations: importViolations });
+    }
+
+    // Nothing is written unless every row is valid
+    if (summary.error > 0) {
+      return res.status(400).json({ error: 'Import has invalid rows, nothing was applied', dry_run: false, summary, rows: plan });
+    }
+
+    const results = [];
+    for (const entry of plan) {
+      if (entry.action === 'create') {
+        const { data: newPet, error } = await supabaseAdmin
+          .from('pets')
+          .insert(withValueNumbers({ ...entry.data, updated_at: new Date().toISOString() }))
+          .select()
+          .single();
+
+        if (error) {
+          console.error('[Backend] IMPORT Insert error:', error);
+          results.push({ row: entry.row, name: entry.name, action: 'error', error: error.message });
+          continue;
+        }
+
+        await logAudit(admin.username, 'ADD', newPet.id, newPet.name, entry.data, admin.role);
+        results.push({ row: entry.row, id: newPet.id, name: newPet.name, action: 'create' });
+      } else if (entry.action === 'update') {
+        const updateData = { updated_at: new Date().toISOString() };
+        for (const [field, change] of Object.entries(entry.changes)) {
+          updateData[field] = change.to;
+        }
+
+        // Only matches while updated_at is still what the plan was based on, like the pet editor
+        const planned = byId.get(entry.id);
+        let updateQuery = supabaseAdmin
+          .from('pets')
+          .update(withValueNumbers(updateData))
+          .eq('id', entry.id)
+          .is('deleted_at', null);
+
+        updateQuery = planned.updated_at
+          ? updateQuery.eq('updated_at', planned.updated_at)
+          : updateQuery.is('updated_at', null);
+
+        const { data: updatedPets, error } = await updateQuery.select();
+
+        if (error) {
+          console.error('[Backend] IMPORT Update error:', error);
+          results.push({ row: entry.row, id: entry.id, name: entry.name, action: 'error', error: error.message });
+          continue;
+        }
+
+        if (!updatedPets || updatedPets.length === 0) {
+          console.log('[Backend] IMPORT Version conflict for pet:', entry.id);
+          results.push({
+            row: entry.row,
+            id: entry.id,
+            name: entry.name,
+            action: 'error',
+            status: 409,
+            error: 'Pet was changed or trashed by someone else since the import was planned'
+          });
+          continue;
+        }
+
+        const updatedPet = updatedPets[0];
+
+        await logAudit(admin.username, 'EDIT', updatedPet.id, updatedPet.name, entry.changes, admin.role);
+        results.push({ row: entry.row, id: updatedPet.id, name: updatedPet.name, action: 'update', changes: entry.changes });
+      } else {
+        results.push(entry);
+      }
+    }
+
+    // One event for the whole import instead of one per row
+    const created = results.filter((entry) => entry.action === 'create').map(({ id, name }) => ({ id, name }));
+    const updated = results.filter((entry) => entry.action === 'update').map(({ id, name, changes }) => ({ id, name, changes }));
+    if (created.length > 0 || updated.length > 0) {
+      await emitWebhookEvent('pet.imported', {
+        actor: { username: admin.username, role: admin.role || 'admin' },
+        created,
+        updated
+      });
+    }
+
+    return res.status(200).json({ dry_run: false, summary: summarize(results), rows: results });
+  } catch (err) {
+    console.error('[Backend] IMPORT Unexpected error:', err);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
+  }
+}
+
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/pets/import.js
@@ -0,0 +1,288 @@
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/pets/proposals.js
+// Debug warning: Approval queue for edits by roles with requires_approval (see utils/permissions.js)
+//   GET  ?status=pending|approved|rejected|all&limit&offset   list proposals (own proposals only without approve)
+//   POST { id, decision: 'approve' }                          apply a pending proposal (approve permission, not your own)
+//   POST { id, decision: 'approve', force: true }             apply even though the pet changed since it was proposed
+//   POST { id, decision: 'reject', reason }                   reject with a reason (approve permission)
+
+import { createClient } from '@supabase/supabase-js';
+import { authenticateRequest } from '../utils/adminAuth.js';
+import { logAudit, diffPetChanges } from '../utils/audit.js';
+import { can } from '../utils/permissions.js';
+import { getPetVersion, withPetVersion, diffConflict } from '../utils/petVersion.js';
+import { PROPOSAL_STATUSES, MAX_REASON_LENGTH, claimProposal, releaseProposal } from '../utils/proposals.js';
+import { emitWebhookEvent } from '../utils/webhook.js';
+import { withValueNumbers } from '../utils/petSchema.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Admin client with service role key (bypasses RLS)
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    )
+  : null;
+
+// GET: List proposals, newest first
+async function handleList(req, res, admin) {
+  const status = req.query.status || 'pending';
+  if (status !== 'all' && !PROPOSAL_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status. Use one of: ${PROPOSAL_STATUSES.join(', ')}, all` });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  let query = supabaseAdmin
+    .from('pet_proposals')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (status !== 'all') query = query.eq('status', status);
+
+  // Proposers without the approve permission only see their own proposals
+  if (!can(admin.role, 'approve')) query = query.eq('proposed_by', admin.username);
+
+  const { data: proposals, error, count } = await query;
+
+  if (error) {
+    console.error('[Backend] PROPOSALS Supabase error:', error);
+    return res.status(500).json({ error: 'Failed to fetch proposals', details: error.message });
+  }
+
+  return res.status(200).json({ proposals: proposals || [], total: count ?? 0, limit, offset });
+}
+
+// POST decision=approve: apply the proposed values and audit both the proposer and the approver
+async function handleApprove(req, res, admin, proposalId) {
+  // Debug warning: Nobody approves their own proposal, even with the approve permission
+  const { data: pending, error: lookupError } = await supabaseAdmin
+    .from('pet_proposals')
+    .select('id, proposed_by')
+    .eq('id', proposalId)
+    .maybeSingle();
+
+  if (lookupError) {
+    console.error('[Backend] PROPOSALS Lookup error:', lookupError);
+    return res.status(500).json({ error: 'Failed to approve proposal', details: lookupError.message });
+  }
+
+  if (!pending) {
+    return res.status(404).json({ error: 'Proposal not found' });
+  }
+
+  if (pending.proposed_by === admin.username) {
+    console.log('[Backend] PROPOSALS Self-approval refused for:', admin.username, 'proposal:', proposalId);
+    return res.status(403).json({ error: 'You cannot approve your own proposal' });
+  }
+
+  const { proposal, error: claimError } = await claimProposal(supabaseAdmin, proposalId, 'approved', admin);
+  if (claimError) {
+    console.error('[Backend] PROPOSALS Claim error:', claimError);
+    return res.status(500).json({ error: 'Failed to approve proposal', details: claimError.message });
+  }
+
+  if (!proposal) {
+    return respondNotPending(res, proposalId);
+  }
+
+  const { data: pet, error: petError } = await supabaseAdmin
+    .from('pets')
+    .select('*')
+    .eq('id', proposal.pet_id)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (petError || !pet) {
+    await releaseProposal(supabaseAdmin, proposalId);
+    if (petError) {
+      console.error('[Backend] PROPOSALS Pet lookup error:', petError);
+      return res.status(500).json({ error: 'Failed to approve proposal', details: petError.message });
+    }
+    return res.status(409).json({ error: 'Pet no longer exists or is in the trash. Reject the proposal instead.' });
+  }
+
+  // Debug warning: Someone edited the pet after the proposal was made - the approver has to confirm with force
+  if (getPetVersion(pet) !== proposal.base_version && req.body?.force !== true) {
+    await releaseProposal(supabaseAdmin, proposalId);
+    return res.status(409).json({
+      error: 'Pet was changed since this proposal was made. Resend with force: true to apply it anyway.',
+      current: withPetVersion(pet),
+      diff: diffConflict(pet, proposal.values)
+    });
+  }
+
+  // Only matches while updated_at is still what we read, like the pet editor
+  let updateQuery = supabaseAdmin
+    .from('pets')
+    .update(withValueNumbers({ ...proposal.values, updated_at: new Date().toISOString() }))
+    .eq('id', pet.id)
+    .is('deleted_at', null);
+
+  updateQuery = pet.updated_at
+    ? updateQuery.eq('updated_at', pet.updated_at)
+    : updateQuery.is('updated_at', null);
+
+  const { data: updatedPets, error: updateError } = await updateQuery.select();
+
+  if (updateError || !updatedPets || updatedPets.length === 0) {
+    await releaseProposal(supabaseAdmin, proposalId);
+    if (updateError) {
+      console.error('[Backend] PROPOSALS Update error:', updateError);
+      return res.status(500).json({ error: 'Failed to apply proposal', details: updateError.message });
+    }
+    return res.status(409).json({ error: 'Pet was changed while applying the proposal. Try again.' });
+  }
+
+  const updatedPet = updatedPets[0];
+  const changes = diffPetChanges(pet, proposal.values);
+
+  // The edit is attributed to the proposer (so pet history shows them), the approval to the reviewer
+  await logAudit(proposal.proposed_by, 'EDIT', updatedPet.id, updatedPet.name, {
+    ...changes,
+    proposal_id: proposal.id,
+    approved_by: admin.username
+  }, proposal.proposed_by_role);
+
+  await logAudit(admin.username, 'APPROVE', updatedPet.id, updatedPet.name, {
+    proposal_id: proposal.id,
+    proposed_by: proposal.proposed_by,
+    approved_changes: changes
+  }, admin.role);
+
+  const actor = { username: admin.username, role: admin.role || 'admin' };
+  await emitWebhookEvent('proposal.approved', { actor, proposal: { ...proposal, changes } });
+  await emitWebhookEvent('pet.edited', {
+    actor: { username: proposal.proposed_by, role: proposal.proposed_by_role },
+    pet: { id: updatedPet.id, name: updatedPet.name },
+    changes,
+    approved_by: admin.username
+  });
+
+  console.log('[Backend] PROPOSALS Approved:', proposal.id, 'by', admin.username);
+  return res.status(200).json({ proposal, pet: withPetVersion(updatedPet) });
+}
+
+// POST decision=reject: close the proposal with a reason, the pet is untouched
+async function handleReject(req, res, admin, proposalId) {
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    return res.status(400).json({ error: 'Invalid rejection', fields: { reason: 'A reason is required' } });
+  }
+
+  if (reason.length > MAX_REASON_LENGTH) {
+    return res.status(400).json({ error: 'Invalid rejection', fields: { reason: `Must be at most ${MAX_REASON_LENGTH} characters` } });
+  }
+
+  const { proposal, error } = await claimProposal(supabaseAdmin, proposalId, 'rejected', admin, reason);
+  if (error) {
+    console.error('[Backend] PROPOSALS Claim error:', error);
+    return res.status(500).json({ error: 'Failed to reject proposal', details: error.message });
+  }
+
+  if (!proposal) {
+    return respondNotPending(res, proposalId);
+  }
+
+  await logAudit(admin.username, 'REJECT', proposal.pet_id, proposal.pet_name, {
+    proposal_id: proposal.id,
+    proposed_by: proposal.proposed_by,
+    reason,
+    rejected_changes: proposal.changes
+  }, admin.role);
+
+  await emitWebhookEvent('proposal.rejected', { actor: { username: admin.username, role: admin.role || 'admin' }, proposal });
+
+  console.log('[Backend] PROPOSALS Rejected:', proposal.id, 'by', admin.username);
+  return res.status(200).json({ proposal });
+}
+
+// 404 for unknown ids, 409 for proposals that were already decided
+async function respondNotPending(res, proposalId) {
+  const { data: existing } = await supabaseAdmin
+    .from('pet_proposals')
+    .select('id, status, reviewed_by, reviewed_at')
+    .eq('id', proposalId)
+    .maybeSingle();
+
+  if (!existing) {
+    return res.status(404).json({ error: 'Proposal not found' });
+  }
+
+  return res.status(409).json({ error: `Proposal was already ${existing.status}`, proposal: existing });
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Username, X-Admin-Password, X-Admin-OTP');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, POST, OPTIONS');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!supabaseAdmin) {
+    console.error('[Backend] SUPABASE_SERVICE_ROLE_KEY not configured');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    // Verify bearer token or admin credentials and get role
+    const { admin, reason } = await authenticateRequest(req);
+
+    if (reason === 'missing_credentials') {
+      return res.status(401).json({ error: 'Missing credentials' });
+    }
+
+    if (!admin) {
+      console.log('[Backend] PROPOSALS Auth failed');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (req.method === 'GET') {
+      return await handleList(req, res, admin);
+    }
+
+    // Debug warning: Only roles with the approve permission can decide on proposals
+    if (!can(admin.role, 'approve')) {
+      console.log('[Backend] PROPOSALS Role not allowed to review - blocked:', admin.role);
+      return res.status(403).json({ error: 'Insufficient permissions to review proposals.' });
+    }
+
+    const proposalId = parseInt(req.body?.id);
+    if (isNaN(proposalId)) {
+      return res.status(400).json({ error: 'Proposal ID is required' });
+    }
+
+    const decision = req.body?.decision;
+    if (decision === 'approve') {
+      return await handleApprove(req, res, admin, proposalId);
+    }
+
+    if (decision === 'reject') {
+      return await handleReject(req, res, admin, proposalId);
+    }
+
+    return res.status(400).json({ error: 'Invalid decision', fields: { decision: "Must be 'approve' or 'reject'" } });
+  } catch (err) {
+    console.error('[Backend] PROPOSALS Unexpected error:', err);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
+  }
+}
+
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/pets/proposals.js
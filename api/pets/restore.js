@@ -0,0 +1,166 @@
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/pets/restore.js
+// Debug warning: Recreates a deleted pet from the deleted_pet snapshot of a DELETE audit_log entry (admin only)
+
+import { createClient } from '@supabase/supabase-js';
+import { authenticateRequest } from '../utils/adminAuth.js';
+import { logAudit } from '../utils/audit.js';
+import { emitWebhookEvent } from '../utils/webhook.js';
+import { fetchPetByName } from '../utils/petQueries.js';
+import { can } from '../utils/permissions.js';
+import { withValueNumbers } from '../utils/petSchema.js';
+
+// Admin client with service role key (bypasses RLS)
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    )
+  : null;
+
+// Postgres errors meaning the original id cannot be reused (identity ALWAYS / already taken)
+const ID_REUSE_ERROR_CODES = ['428C9', '23505'];
+
+async function insertPet(row, originalId) {
+  // Try to keep the original id so history and audit entries stay linked
+  if (originalId) {
+    const result = await supabaseAdmin
+      .from('pets')
+      .insert({ id: originalId, ...row })
+      .select()
+      .single();
+
+    if (!result.error || !ID_REUSE_ERROR_CODES.includes(result.error.code)) {
+      return result;
+    }
+    console.warn('[Backend] RESTORE Original id unavailable, inserting with a new id:', result.error.code);
+  }
+
+  return supabaseAdmin
+    .from('pets')
+    .insert(row)
+    .select()
+    .single();
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Username, X-Admin-Password, X-Admin-OTP');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST, OPTIONS');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!supabaseAdmin) {
+    console.error('[Backend] SUPABASE_SERVICE_ROLE_KEY not configured');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  try {
+    // Verify bearer token or admin credentials and get role
+    const { admin, reason } = await authenticateRequest(req);
+
+    if (reason === 'missing_credentials') {
+      return res.status(401).json({ error: 'Missing credentials' });
+    }
+
+    if (!admin) {
+      console.log('[Backend] RESTORE Auth failed');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Debug warning: Roles without the restore permission (e.g. miniadmin) cannot restore pets
+    if (!can(admin.role, 'restore')) {
+      console.log('[Backend] RESTORE Role not allowed to restore pet - blocked:', admin.role);
+      return res.status(403).json({ error: 'Insufficient permissions to restore pets.' });
+    }
+
+    const auditId = parseInt(req.body?.auditId);
+    if (isNaN(auditId)) {
+      return res.status(400).json({ error: 'auditId is required' });
+    }
+
+    const { data: entry, error: auditError } = await supabaseAdmin
+      .from('audit_log')
+      .select('id, action_type, pet_id, pet_name, changes')
+      .eq('id', auditId)
+      .maybeSingle();
+
+    if (auditError) {
+      console.error('[Backend] RESTORE Audit lookup error:', auditError);
+      return res.status(500).json({ error: 'Database error', details: auditError.message });
+    }
+
+    const snapshot = entry?.changes?.deleted_pet;
+    if (!entry || entry.action_type !== 'DELETE' || !snapshot) {
+      return res.status(404).json({ error: 'Delete audit entry not found' });
+    }
+
+    // Refuse if the name is taken again (restored already, re-added by hand, or still in the trash)
+    const { pet: existing, error: nameError } = await fetchPetByName(supabaseAdmin, snapshot.name, { includeDeleted: true });
+    if (nameError) {
+      console.error('[Backend] RESTORE Name check error:', nameError);
+      return res.status(500).json({ error: 'Database error', details: nameError.message });
+    }
+
+    if (existing && existing.deleted_at) {
+      return res.status(409).json({ error: 'This pet is still in the trash. Undelete it instead.', pet_id: existing.id });
+    }
+
+    if (existing) {
+      return res.status(409).json({ error: 'A pet with this name already exists', pet_id: existing.id });
+    }
+
+    // Entries logged before image_url was added to the snapshot restore without an image
+    const row = withValueNumbers({
+      name: snapshot.name,
+      rarity: snapshot.rarity,
+      stats: snapshot.stats,
+      stats_type: snapshot.stats_type,
+      value_normal: snapshot.value_normal,
+      value_golden: snapshot.value_golden,
+      value_rainbow: snapshot.value_rainbow,
+      value_void: snapshot.value_void,
+      image_url: snapshot.image_url || null,
+      how_to_get: snapshot.how_to_get || null,
+      updated_at: new Date().toISOString()
+    });
+
+    const { data: restoredPet, error } = await insertPet(row, entry.pet_id);
+
+    if (error) {
+      console.error('[Backend] RESTORE Supabase insert error:', error);
+      return res.status(500).json({ error: 'Failed to restore pet', details: error.message });
+    }
+
+    await logAudit(admin.username, 'RESTORE', restoredPet.id, restoredPet.name, {
+      restored_from_audit_id: entry.id,
+      original_pet_id: entry.pet_id,
+      ...snapshot
+    }, admin.role);
+
+    await emitWebhookEvent('pet.restored', {
+      actor: { username: admin.username, role: admin.role || 'admin' },
+      pet: { id: restoredPet.id, name: restoredPet.name },
+      source: 'audit'
+    });
+
+    console.log('[Backend] RESTORE Success - restored pet:', restoredPet.id);
+    return res.status(201).json(restoredPet);
+  } catch (err) {
+    console.error('[Backend] RESTORE Unexpected error:', err);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
+  }
+}
+
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/pets/restore.js
@@ -0,0 +1,152 @@
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/pets/trash.js
+// Debug warning: Trash bin for soft-deleted pets (roles with the delete permission)
+//   GET                      list pets in the trash
+//   POST   { id }            undelete a pet
+//   DELETE { id }            purge one pet permanently
+//   DELETE ?expired=true     purge everything past the retention period
+
+import { createClient } from '@supabase/supabase-js';
+import { authenticateRequest } from '../utils/adminAuth.js';
+import { fetchPetByName } from '../utils/petQueries.js';
+import { can } from '../utils/permissions.js';
+import { TRASH_RETENTION_DAYS, getPurgeAfter, untrashPet, purgeTrashedPets } from '../utils/trash.js';
+
+// Admin client with service role key (bypasses RLS)
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    )
+  : null;
+
+export default async function handler(req, res) {
+  // Set CORS headers for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Username, X-Admin-Password, X-Admin-OTP');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, POST, DELETE, OPTIONS');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!supabaseAdmin) {
+    console.error('[Backend] SUPABASE_SERVICE_ROLE_KEY not configured');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    // Verify bearer token or admin credentials and get role
+    const { admin, reason } = await authenticateRequest(req);
+
+    if (reason === 'missing_credentials') {
+      return res.status(401).json({ error: 'Missing credentials' });
+    }
+
+    if (!admin) {
+      console.log('[Backend] TRASH Auth failed');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Debug warning: Roles that cannot delete pets (e.g. miniadmin) cannot manage the trash either
+    if (!can(admin.role, 'delete')) {
+      console.log('[Backend] TRASH Role not allowed to manage trash - blocked:', admin.role);
+      return res.status(403).json({ error: 'Insufficient permissions to manage the trash.' });
+    }
+
+    if (req.method === 'GET') {
+      const { data: pets, error } = await supabaseAdmin
+        .from('pets')
+        .select('id, name, rarity, deleted_at, deleted_by')
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false });
+
+      if (error) {
+        console.error('[Backend] TRASH Supabase error:', error);
+        return res.status(500).json({ error: 'Failed to fetch trash', details: error.message });
+      }
+
+      return res.status(200).json({
+        retention_days: TRASH_RETENTION_DAYS,
+        pets: (pets || []).map((pet) => ({ ...pet, purge_after: getPurgeAfter(pet.deleted_at) }))
+      });
+    }
+
+    if (req.method === 'DELETE' && req.query.expired === 'true') {
+      const { purged, error } = await purgeTrashedPets(supabaseAdmin, admin, { expiredOnly: true });
+      if (error) {
+        console.error('[Backend] TRASH Purge error:', error);
+        return res.status(500).json({ error: 'Failed to purge trash', details: error.message });
+      }
+
+      console.log('[Backend] TRASH Purged expired pets:', purged.length);
+      return res.status(200).json({ success: true, purged });
+    }
+
+    const petId = parseInt(req.body?.id ?? req.query.id);
+    if (isNaN(petId)) {
+      return res.status(400).json({ error: 'Pet ID is required' });
+    }
+
+    if (req.method === 'POST') {
+      const { data: trashed } = await supabaseAdmin
+        .from('pets')
+        .select('name')
+        .eq('id', petId)
+        .not('deleted_at', 'is', null)
+        .maybeSingle();
+
+      if (!trashed) {
+        return res.status(404).json({ error: 'Pet not found in trash' });
+      }
+
+      // A live pet may have been added under the same name since the delete
+      const { pet: existing } = await fetchPetByName(supabaseAdmin, trashed.name);
+      if (existing) {
+        return res.status(409).json({ error: 'A pet with this name already exists', pet_id: existing.id });
+      }
+
+      const { pet, error } = await untrashPet(supabaseAdmin, petId, admin);
+      if (error) {
+        console.error('[Backend] TRASH Undelete error:', error);
+        return res.status(500).json({ error: 'Failed to undelete pet', details: error.message });
+      }
+
+      if (!pet) {
+        return res.status(404).json({ error: 'Pet not found in trash' });
+      }
+
+      console.log('[Backend] TRASH Undeleted pet:', pet.id);
+      return res.status(200).json(pet);
+    }
+
+    // DELETE { id }: explicit purge of one pet
+    const { purged, error } = await purgeTrashedPets(supabaseAdmin, admin, { petId });
+    if (error) {
+      console.error('[Backend] TRASH Purge error:', error);
+      return res.status(500).json({ error: 'Failed to purge pet', details: error.message });
+    }
+
+    if (purged.length === 0) {
+      return res.status(404).json({ error: 'Pet not found in trash' });
+    }
+
+    console.log('[Backend] TRASH Purged pet:', petId);
+    return res.status(200).json({ success: true, purged });
+  } catch (err) {
+    console.error('[Backend] TRASH Unexpected error:', err);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
+  }
+}
+
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/pets/trash.js
@@ -0,0 +1,219 @@
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/trade/evaluate.js
+// Debug warning: Public trade calculator over the same live pet data as GET /api/pets
+//   POST { give: [item], receive: [item], threshold? }
+//     item: { pet: <id or name>, variant: 'normal'|'golden'|'rainbow'|'void' (default normal), quantity: 1-1000 (default 1) }
+//     threshold: percent difference still called fair (default TRADE_FAIR_THRESHOLD_PERCENT, else 10)
+//   -> { give: { items, total }, receive: { items, total }, difference, difference_percent, threshold, verdict }
+//      (numbers come with a *_display twin in the canonical "1.5M" form)
+// verdict is from the caller's side: 'win' when receive is worth more than give beyond the threshold, 'loss' the other way
+
+import { createClient } from '@supabase/supabase-js';
+import { checkRateLimit, setRateLimitHeaders, getClientIP, formatWaitTime } from '../utils/rateLimiter.js';
+import { parsePetListQuery, fetchPetList, slugifyPetName } from '../utils/petQueries.js';
+import { VALUE_NUMBER_COLUMNS } from '../utils/petSchema.js';
+import { parsePetValue, formatPetValue } from '../utils/petValues.js';
+
+const VARIANTS = ['normal', 'golden', 'rainbow', 'void'];
+const MAX_ITEMS_PER_SIDE = 20;
+const MAX_QUANTITY = 1000;
+const DEFAULT_THRESHOLD_PERCENT = Number(process.env.TRADE_FAIR_THRESHOLD_PERCENT) || 10;
+
+// Rate limit: 30 evaluations per minute per IP
+const EVALUATE_WINDOW_MS = 60 * 1000;
+const EVALUATE_MAX_REQUESTS = 30;
+
+// Debug warning: Same anon client as GET /api/pets, so only publicly readable rows are priced
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+// Validate one side of the trade into [{ pet, variant, quantity }], collecting errors as "give[0].variant"
+function parseSide(items, side, errors) {
+  if (items === undefined || items === null) return [];
+
+  if (!Array.isArray(items)) {
+    errors[side] = 'Must be an array of items';
+    return [];
+  }
+
+  if (items.length > MAX_ITEMS_PER_SIDE) {
+    errors[side] = `Must have at most ${MAX_ITEMS_PER_SIDE} items`;
+    return [];
+  }
+
+  return items.map((item, index) => {
+    const path = `${side}[${index}]`;
+    const { pet, variant = 'normal', quantity = 1 } = item && typeof item === 'object' ? item : { pet: item };
+
+    const validPet = (typeof pet === 'number' && Number.isInteger(pet)) || (typeof pet === 'string' && pet.trim() !== '');
+    if (!validPet) errors[`${path}.pet`] = 'Must be a pet id or name';
+
+    if (!VARIANTS.includes(variant)) errors[`${path}.variant`] = `Must be one of: ${VARIANTS.join(', ')}`;
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      errors[`${path}.quantity`] = `Must be an integer from 1 to ${MAX_QUANTITY}`;
+    }
+
+    return { path, pet, variant, quantity };
+  });
+}
+
+function parseThreshold(value, errors) {
+  if (value === undefined || value === null) return DEFAULT_THRESHOLD_PERCENT;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 100) {
+    errors.threshold = 'Must be a percentage from 0 to 100';
+    return null;
+  }
+  return value;
+}
+
+// Match by id, then exact name (ignoring case), then name slug ("mr-fluffy")
+function findPet(pets, ref) {
+  const text = String(ref).trim();
+  if (/^\d+$/.test(text)) {
+    return pets.find((pet) => pet.id === parseInt(text, 10)) || null;
+  }
+
+  const lower = text.toLowerCase();
+  return pets.find((pet) => pet.name.toLowerCase() === lower)
+    || pets.find((pet) => slugifyPetName(pet.name) === slugifyPetName(text))
+    || null;
+}
+
+// Numeric column first; rows not saved since numeric values were added fall back to parsing the display string
+function unitValue(pet, variant) {
+  const field = `value_${variant}`;
+  const number = pet[VALUE_NUMBER_COLUMNS[field]];
+  return number !== null && number !== undefined ? Number(number) : parsePetValue(pet[field]);
+}
+
+// Price every item of a side, collecting unknown pets / unpriced values into errors
+function priceSide(pets, items, errors) {
+  let total = 0;
+
+  const priced = items.map((item) => {
+    const pet = findPet(pets, item.pet);
+    if (!pet) {
+      errors[`${item.path}.pet`] = `Unknown pet: ${item.pet}`;
+      return null;
+    }
+
+    const unit = unitValue(pet, item.variant);
+    if (unit === null) {
+      errors[`${item.path}.variant`] = `${pet.name} has no ${item.variant} value`;
+      return null;
+    }
+
+    const value = unit * item.quantity;
+    total += value;
+
+    return {
+      pet: { id: pet.id, name: pet.name, rarity: pet.rarity, image_url: pet.image_url },
+      variant: item.variant,
+      quantity: item.quantity,
+      unit_value: unit,
+      unit_value_display: pet[`value_${item.variant}`],
+      value,
+      value_display: formatPetValue(value)
+    };
+  });
+
+  return { items: priced, total, total_display: formatPetValue(total) };
+}
+
+function judgeTrade(giveTotal, receiveTotal, threshold) {
+  const difference = receiveTotal - giveTotal;
+  const base = Math.max(giveTotal, receiveTotal);
+  // Percent of the bigger side, so the verdict is the same whichever side asks
+  const percent = base === 0 ? 0 : Math.round((Math.abs(difference) / base) * 10000) / 100;
+
+  let verdict = 'fair';
+  if (percent > threshold) verdict = difference > 0 ? 'win' : 'loss';
+
+  return {
+    difference,
+    difference_display: `${difference < 0 ? '-' : difference > 0 ? '+' : ''}${formatPetValue(Math.abs(difference))}`,
+    difference_percent: percent,
+    threshold,
+    verdict
+  };
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST, OPTIONS');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  const clientIP = getClientIP(req);
+  const rateCheck = await checkRateLimit(`trade_evaluate_${clientIP}`, EVALUATE_WINDOW_MS, EVALUATE_MAX_REQUESTS);
+  setRateLimitHeaders(res, rateCheck);
+
+  if (!rateCheck.allowed) {
+    console.log(`[Rate Limit] POST /api/trade/evaluate blocked for IP: ${clientIP}`);
+    return res.status(429).json({
+      error: `Rate limit exceeded. Please try again in ${formatWaitTime(rateCheck.resetTime)}.`,
+      retryAfter: Math.ceil((rateCheck.resetTime - Date.now()) / 1000)
+    });
+  }
+
+  try {
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const errors = {};
+
+    const give = parseSide(body.give, 'give', errors);
+    const receive = parseSide(body.receive, 'receive', errors);
+    const threshold = parseThreshold(body.threshold, errors);
+
+    if (give.length === 0 && receive.length === 0 && !errors.give && !errors.receive) {
+      errors.give = 'At least one side needs an item';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Invalid trade', fields: errors });
+    }
+
+    // Every live pet, exactly what GET /api/pets returns without parameters
+    const { pets, error } = await fetchPetList(supabase, parsePetListQuery({}).options);
+
+    if (error) {
+      console.error('[Supabase Error]:', error);
+      return res.status(500).json({ error: 'Failed to fetch pets' });
+    }
+
+    const giveSide = priceSide(pets, give, errors);
+    const receiveSide = priceSide(pets, receive, errors);
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Invalid trade', fields: errors });
+    }
+
+    return res.status(200).json({
+      give: giveSide,
+      receive: receiveSide,
+      ...judgeTrade(giveSide.total, receiveSide.total, threshold)
+    });
+  } catch (err) {
+    console.error('[API Error]:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/trade/evaluate.js
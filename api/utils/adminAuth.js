@@ -0,0 +1,437 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/adminAuth.js
+
+// Debug warning: Shared admin credential check used by every admin-only endpoint
+// Upgrades legacy plaintext passwords to scrypt hashes on the next successful login
+// Sessions live in admin_sessions (id, admin_id, expires_at, revoked_at, created_at)
+// Failed logins on any path count towards the per-account lockout (see loginLockout.js)
+// Accounts with TOTP enabled also need a code (or recovery code) on every password path (see totp.js)
+
+import { randomUUID } from "crypto";
+import { createClient } from "@supabase/supabase-js";
+import { hashPassword, verifyPassword } from "./password.js";
+import {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS,
+  tokensEnabled,
+  signToken,
+  verifyToken,
+  getBearerToken
+} from "./tokens.js";
+import { getClientIP } from "./rateLimiter.js";
+import { getLockout, recordLoginFailure, clearLoginFailures } from "./loginLockout.js";
+import { verifySecondFactor } from "./totp.js";
+import { requiresTwoFactor } from "./permissions.js";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+// Admin client with service role key (bypasses RLS), needed to write upgraded hashes and sessions
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null;
+
+// Debug warning: Verified against when the username does not exist so timing stays similar
+const DUMMY_HASH = "scrypt$16384$8$1$AAAAAAAAAAAAAAAAAAAAAA==$" + Buffer.alloc(64).toString("base64");
+
+// Replace a plaintext (or outdated) password with a fresh hash
+async function upgradePasswordHash(admin, password) {
+  if (!supabaseAdmin) {
+    console.warn("[Auth Warning] Service role key not configured, cannot upgrade password hash for:", admin.username);
+    return;
+  }
+
+  try {
+    const hashed = await hashPassword(password);
+    // Only overwrite the exact value we verified against, so a concurrent change is not clobbered
+    const { error } = await supabaseAdmin
+      .from("admin_users")
+      .update({ password: hashed })
+      .eq("id", admin.id)
+      .eq("password", admin.password);
+
+    if (error) {
+      console.error("[Auth Error] Failed to upgrade password hash:", error);
+      return;
+    }
+
+    console.log("[Auth] Upgraded password hash for:", admin.username);
+  } catch (err) {
+    console.error("[Auth Error] Password hash upgrade failed:", err);
+  }
+}
+
+// Columns needed to check a login; everything but the public ones is stripped by toSafeAdmin
+const ADMIN_AUTH_COLUMNS = "id, username, is_active, password, role, totp_enabled, totp_secret, totp_last_counter, totp_recovery_codes";
+
+// How long a password-verified login may take to come back with its TOTP code
+const OTP_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+// Never hand the stored hash or TOTP secrets back to callers
+function toSafeAdmin(admin) {
+  const {
+    password: _stored,
+    totp_secret: _secret,
+    totp_last_counter: _counter,
+    totp_recovery_codes: _codes,
+    ...safeAdmin
+  } = admin;
+  return safeAdmin;
+}
+
+// Second factor for an admin whose password was right: null when it passes, else the failed result
+async function checkSecondFactor(admin, context) {
+  if (!admin.totp_enabled) {
+    if (requiresTwoFactor(admin.role) && !context.allowUnenrolled) {
+      return { admin: null, reason: "otp_enrollment_required" };
+    }
+    return null;
+  }
+
+  if (!context.otp) {
+    return { admin: null, reason: "otp_required", pendingAdmin: { id: admin.id, username: admin.username } };
+  }
+
+  const { valid } = await verifySecondFactor(admin, context.otp);
+  if (!valid) {
+    const { lockedUntil } = await recordLoginFailure(admin.username, { ...context, reason: "invalid_otp" });
+    return { admin: null, reason: "invalid_otp", ...(lockedUntil ? { lockedUntil } : {}) };
+  }
+
+  return null;
+}
+
+/**
+ * Check admin credentials against admin_users, honouring and updating the account lockout
+ * @param {string} username - Admin username
+ * @param {string} password - Plaintext password
+ * @param {Object} context - { ip, path } of the request (recorded with failed attempts), plus
+ *   otp: TOTP or recovery code, passwordOnly: skip the second factor (caller already proved it),
+ *   allowUnenrolled: let accounts that must enroll in 2FA through (enrollment endpoint only)
+ * @returns {Promise<Object>} { admin: Object|null, reason: string|null, lockedUntil?: number, pendingAdmin?: Object }
+ *   reason is one of 'missing_credentials', 'locked', 'not_found', 'invalid_password',
+ *   'otp_required', 'invalid_otp', 'otp_enrollment_required', 'error'
+ *   Debug warning: never show callers which of not_found / invalid_password happened
+ */
+async function authenticateAdmin(username, password, context = {}) {
+  if (!username || !password) {
+    return { admin: null, reason: "missing_credentials" };
+  }
+
+  try {
+    // Locked accounts are refused before the password is even checked
+    const lockout = await getLockout(username);
+    if (lockout.lockedUntil) {
+      await recordLoginFailure(username, { ...context, reason: "locked" });
+      return { admin: null, reason: "locked", lockedUntil: lockout.lockedUntil };
+    }
+
+    const { data: admin, error } = await supabase
+      .from("admin_users")
+      .select(ADMIN_AUTH_COLUMNS)
+      .eq("username", username)
+      .eq("is_active", true)
+      .maybeSingle();
+
+    if (error) {
+      console.error("[Auth Error]:", error);
+      return { admin: null, reason: "error" };
+    }
+
+    if (!admin) {
+      await verifyPassword(password, DUMMY_HASH);
+      const { lockedUntil } = await recordLoginFailure(username, { ...context, reason: "not_found" });
+      return { admin: null, reason: "not_found", ...(lockedUntil ? { lockedUntil } : {}) };
+    }
+
+    const { valid, needsRehash } = await verifyPassword(password, admin.password);
+    if (!valid) {
+      const { lockedUntil } = await recordLoginFailure(username, { ...context, reason: "invalid_password" });
+      return { admin: null, reason: "invalid_password", ...(lockedUntil ? { lockedUntil } : {}) };
+    }
+
+    if (!context.passwordOnly) {
+      const secondFactor = await checkSecondFactor(admin, context);
+      if (secondFactor) return secondFactor;
+    }
+
+    if (lockout.failedCount > 0) {
+      await clearLoginFailures(username);
+    }
+
+    if (needsRehash) {
+      await upgradePasswordHash(admin, password);
+    }
+
+    return { admin: toSafeAdmin(admin), reason: null };
+  } catch (err) {
+    console.error("[Auth Error]:", err);
+    return { admin: null, reason: "error" };
+  }
+}
+
+/**
+ * Short-lived token proving the password step passed, exchanged with the TOTP code at /api/auth/verify
+ * @param {Object} admin - { id, username } (pendingAdmin from authenticateAdmin)
+ * @returns {Object|null} { token, expiresAt } or null when tokens are not configured
+ */
+function issueOtpChallenge(admin) {
+  if (!tokensEnabled()) return null;
+  return signToken({ typ: "otp_challenge", sub: admin.id, usr: admin.username }, OTP_CHALLENGE_TTL_SECONDS);
+}
+
+/**
+ * Finish a two-step login: OTP challenge token from issueOtpChallenge plus a TOTP or recovery code
+ * @param {string} challenge - Challenge token
+ * @param {string} otp - TOTP or recovery code
+ * @param {Object} context - { ip, path } of the request
+ * @returns {Promise<Object>} Same shape as authenticateAdmin, reason adds 'invalid_token'
+ */
+async function authenticateOtpChallenge(challenge, otp, context = {}) {
+  const claims = verifyToken(challenge, "otp_challenge");
+  if (!claims) {
+    return { admin: null, reason: "invalid_token" };
+  }
+
+  if (!otp) {
+    return { admin: null, reason: "missing_credentials" };
+  }
+
+  try {
+    const lockout = await getLockout(claims.usr);
+    if (lockout.lockedUntil) {
+      await recordLoginFailure(claims.usr, { ...context, reason: "locked" });
+      return { admin: null, reason: "locked", lockedUntil: lockout.lockedUntil };
+    }
+
+    const { data: admin, error } = await supabase
+      .from("admin_users")
+      .select(ADMIN_AUTH_COLUMNS)
+      .eq("id", claims.sub)
+      .eq("is_active", true)
+      .maybeSingle();
+
+    if (error) {
+      console.error("[Auth Error]:", error);
+      return { admin: null, reason: "error" };
+    }
+
+    if (!admin) {
+      return { admin: null, reason: "not_found" };
+    }
+
+    const secondFactor = await checkSecondFactor(admin, { ...context, otp });
+    if (secondFactor) return secondFactor;
+
+    if (lockout.failedCount > 0) {
+      await clearLoginFailures(admin.username);
+    }
+
+    return { admin: toSafeAdmin(admin), reason: null };
+  } catch (err) {
+    console.error("[Auth Error]:", err);
+    return { admin: null, reason: "error" };
+  }
+}
+
+/**
+ * Verify admin credentials and return the admin row (without password) or null
+ * @param {string} username - Admin username
+ * @param {string} password - Plaintext password
+ * @returns {Promise<Object|null>} { id, username, is_active, role } or null
+ */
+async function verifyAdmin(username, password) {
+  const { admin } = await authenticateAdmin(username, password);
+  return admin;
+}
+
+/**
+ * Start a session for an authenticated admin and issue access + refresh tokens
+ * @param {Object} admin - Admin row { id, username, role }
+ * @returns {Promise<Object|null>} { token, expiresAt, refreshToken, refreshExpiresAt } or null
+ */
+async function issueSession(admin) {
+  if (!tokensEnabled() || !supabaseAdmin) {
+    console.warn("[Auth Warning] ADMIN_TOKEN_SECRET or service role key not configured, no session issued");
+    return null;
+  }
+
+  const sessionId = randomUUID();
+  const refreshExpiresAt = Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000;
+
+  const { error } = await supabaseAdmin
+    .from("admin_sessions")
+    .insert({
+      id: sessionId,
+      admin_id: admin.id,
+      expires_at: new Date(refreshExpiresAt).toISOString()
+    });
+
+  if (error) {
+    console.error("[Auth Error] Failed to create session:", error);
+    return null;
+  }
+
+  const role = admin.role || "admin";
+  const access = signToken({ typ: "access", sub: admin.id, usr: admin.username, role, sid: sessionId }, ACCESS_TOKEN_TTL_SECONDS);
+  const refresh = signToken({ typ: "refresh", sub: admin.id, sid: sessionId }, REFRESH_TOKEN_TTL_SECONDS);
+
+  return {
+    token: access.token,
+    expiresAt: access.expiresAt,
+    refreshToken: refresh.token,
+    refreshExpiresAt: refresh.expiresAt
+  };
+}
+
+/**
+ * Mark a session as revoked so its refresh token stops working
+ * @param {string} sessionId - admin_sessions.id
+ * @returns {Promise<boolean>} true if an active session was revoked
+ */
+async function revokeSession(sessionId) {
+  if (!supabaseAdmin || !sessionId) return false;
+
+  const { data, error } = await supabaseAdmin
+    .from("admin_sessions")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", sessionId)
+    .is("revoked_at", null)
+    .select("id");
+
+  if (error) {
+    console.error("[Auth Error] Failed to revoke session:", error);
+    return false;
+  }
+
+  return Boolean(data && data.length > 0);
+}
+
+/**
+ * Revoke every active session of an admin (password change, deactivation, role change)
+ * Debug warning: Access tokens already issued stay valid until they expire (15 minutes)
+ * @param {number} adminId - admin_users.id
+ * @param {string|null} keepSessionId - Session to leave alone (the caller's own)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAdminSessions(adminId, keepSessionId = null) {
+  if (!supabaseAdmin) return 0;
+
+  let query = supabaseAdmin
+    .from("admin_sessions")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("admin_id", adminId)
+    .is("revoked_at", null);
+
+  if (keepSessionId) query = query.neq("id", keepSessionId);
+
+  const { data, error } = await query.select("id");
+  if (error) {
+    console.error("[Auth Error] Failed to revoke sessions:", error);
+    return 0;
+  }
+
+  return (data || []).length;
+}
+
+/**
+ * Exchange a refresh token for a new token pair (the old session is revoked)
+ * @param {string} refreshToken - Refresh token from issueSession
+ * @returns {Promise<Object|null>} New session tokens plus { admin } or null
+ */
+async function refreshSession(refreshToken) {
+  const claims = verifyToken(refreshToken, "refresh");
+  if (!claims || !supabaseAdmin) return null;
+
+  try {
+    const { data: session, error } = await supabaseAdmin
+      .from("admin_sessions")
+      .select("id, admin_id, expires_at, revoked_at")
+      .eq("id", claims.sid)
+      .maybeSingle();
+
+    if (error || !session || session.revoked_at || new Date(session.expires_at).getTime() <= Date.now()) {
+      return null;
+    }
+
+    // Debug warning: Role and active flag are re-read so demoted/deactivated admins lose access on refresh
+    const { data: admin } = await supabaseAdmin
+      .from("admin_users")
+      .select("id, username, is_active, role, totp_enabled")
+      .eq("id", session.admin_id)
+      .eq("is_active", true)
+      .maybeSingle();
+
+    if (!admin) return null;
+
+    // Sessions from before the role had to use 2FA end here; the admin signs in again and enrolls
+    if (requiresTwoFactor(admin.role) && !admin.totp_enabled) return null;
+
+    // Refresh tokens are single use - a replayed token finds the session already revoked
+    const revoked = await revokeSession(session.id);
+    if (!revoked) return null;
+
+    const tokens = await issueSession(admin);
+    return tokens ? { ...tokens, admin } : null;
+  } catch (err) {
+    console.error("[Auth Error] Session refresh failed:", err);
+    return null;
+  }
+}
+
+/**
+ * Authenticate an admin request by bearer token or X-Admin-Username/X-Admin-Password headers
+ * Header credentials for accounts with TOTP enabled also need an X-Admin-OTP code (each code works once)
+ * @param {Object} req - Vercel request object
+ * @param {Object} options - { allowUnenrolled } passed on to authenticateAdmin
+ * @returns {Promise<Object>} { admin: Object|null, reason: string|null }
+ *   reason adds 'invalid_token' to the authenticateAdmin reasons
+ */
+async function authenticateRequest(req, options = {}) {
+  const bearer = getBearerToken(req);
+
+  // Debug warning: Bearer tokens are verified by signature only, no database lookup
+  if (bearer) {
+    const claims = verifyToken(bearer, "access");
+    if (!claims) {
+      return { admin: null, reason: "invalid_token" };
+    }
+
+    return {
+      admin: {
+        id: claims.sub,
+        username: claims.usr,
+        is_active: true,
+        role: claims.role,
+        session_id: claims.sid
+      },
+      reason: null
+    };
+  }
+
+  // Debug warning: Wrong header credentials on a write endpoint are login failures too (and count towards lockout)
+  return authenticateAdmin(req.headers["x-admin-username"], req.headers["x-admin-password"], {
+    ip: getClientIP(req),
+    path: req.url,
+    otp: req.headers["x-admin-otp"],
+    allowUnenrolled: Boolean(options.allowUnenrolled)
+  });
+}
+
+// Export functions
+export {
+  authenticateAdmin,
+  verifyAdmin,
+  authenticateRequest,
+  issueOtpChallenge,
+  authenticateOtpChallenge,
+  issueSession,
+  refreshSession,
+  revokeSession,
+  revokeAdminSessions
+};
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/adminAuth.js
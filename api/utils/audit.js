@@ -0,0 +1,97 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/audit.js
+
+// Debug warning: Shared audit_log writer used by every admin write path
+
+import { createClient } from "@supabase/supabase-js";
+
+// Admin client with service role key (bypasses RLS)
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null;
+
+/**
+ * Log action to audit_log table with role info
+ * @param {string} username - Admin who performed the action
+ * @param {string} actionType - ADD, EDIT, DELETE, RESTORE, ...
+ * @param {number|null} petId - Affected pet id
+ * @param {string|null} petName - Affected pet name
+ * @param {Object} changes - Action details ({ field: { from, to } } for edits)
+ * @param {string} adminRole - Role of the admin
+ * @returns {Promise<void>}
+ */
+async function logAudit(username, actionType, petId, petName, changes, adminRole) {
+  if (!supabaseAdmin) {
+    console.warn("[Audit Warning] Service role key not configured, skipping audit log");
+    return;
+  }
+
+  try {
+    const { error } = await supabaseAdmin
+      .from("audit_log")
+      .insert({
+        username,
+        action_type: actionType,
+        pet_id: petId,
+        pet_name: petName,
+        changes: changes || {},
+        admin_role: adminRole || "admin"
+      });
+
+    if (error) {
+      console.error("[Audit Log Error]:", error);
+    }
+  } catch (err) {
+    console.error("[Audit Log Error]:", err);
+  }
+}
+
+/**
+ * Snapshot of a pet row stored with DELETE entries, enough to recreate it later
+ * @param {Object} pet - Full pets row
+ * @returns {Object}
+ */
+function buildPetSnapshot(pet) {
+  return {
+    name: pet.name,
+    rarity: pet.rarity,
+    stats: pet.stats,
+    stats_type: pet.stats_type,
+    value_normal: pet.value_normal,
+    value_golden: pet.value_golden,
+    value_rainbow: pet.value_rainbow,
+    value_void: pet.value_void,
+    image_url: pet.image_url,
+    how_to_get: pet.how_to_get
+  };
+}
+
+// Empty optional text fields are logged as "(none)" rather than null
+const OPTIONAL_TEXT_FIELDS = ["image_url", "how_to_get"];
+
+/**
+ * Field-level diff between the stored pet and the values being written
+ * Only fields present in newData are compared
+ * @param {Object} oldPet - Current row
+ * @param {Object} newData - Validated values being written
+ * @returns {Object} { field: { from, to } } for fields that actually change
+ */
+function diffPetChanges(oldPet, newData) {
+  const changes = {};
+  for (const [field, to] of Object.entries(newData)) {
+    if (field === "updated_at") continue;
+    const from = oldPet[field] ?? null;
+    if (from === (to ?? null)) continue;
+
+    changes[field] = OPTIONAL_TEXT_FIELDS.includes(field)
+      ? { from: from || "(none)", to: to || "(none)" }
+      : { from, to };
+  }
+  return changes;
+}
+
+// Export functions
+export { logAudit, buildPetSnapshot, diffPetChanges };
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/audit.js
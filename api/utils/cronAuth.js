@@ -0,0 +1,27 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/cronAuth.js
+
+// Debug warning: Shared check for the /api/cron routes (see vercel.json)
+// Vercel Cron sends Authorization: Bearer <CRON_SECRET>; without CRON_SECRET every request is rejected
+
+import { timingSafeEqual } from "crypto";
+
+/**
+ * Check that a request comes from Vercel Cron
+ * @param {Object} req - Vercel request object
+ * @returns {boolean}
+ */
+function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const actual = Buffer.from(req.headers["authorization"] || "");
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+// Export functions
+export { isCronRequest };
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/cronAuth.js
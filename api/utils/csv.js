@@ -0,0 +1,108 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/csv.js
+
+// Debug warning: Minimal RFC 4180 CSV reader/writer for pet import/export (quoted fields, "" escapes, CRLF)
+
+// Quote a field when it contains a delimiter, quote or line break
+function escapeField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialise rows to CSV with a header line
+ * @param {Array<Object>} rows - Objects to write
+ * @param {Array<string>} columns - Column order
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeField(row[column])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Parse CSV text into objects keyed by the header line
+ * Empty fields become null so they match missing JSON fields
+ * @param {string} text - CSV content
+ * @returns {Array<Object>}
+ * @throws {Error} On an unterminated quoted field
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let i = 0;
+
+  const input = String(text).replace(/^\uFEFF/, "");
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') {
+        quoted = false;
+        i++;
+        continue;
+      }
+      field += ch;
+      i++;
+      continue;
+    }
+
+    if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+    } else {
+      field += ch;
+    }
+    i++;
+  }
+
+  if (quoted) {
+    throw new Error("Unterminated quoted field");
+  }
+
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((r) => r.length > 1 || r[0] !== "");
+  if (nonEmpty.length === 0) return [];
+
+  const [header, ...body] = nonEmpty;
+  const columns = header.map((h) => h.trim());
+
+  return body.map((values) => {
+    const row = {};
+    columns.forEach((column, index) => {
+      const value = values[index];
+      row[column] = value === undefined || value === "" ? null : value;
+    });
+    return row;
+  });
+}
+
+// Export functions
+export { toCsv, parseCsv };
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/csv.js
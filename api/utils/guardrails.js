@@ -0,0 +1,283 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/guardrails.js
+
+// Debug warning: Per-role limits on how hard and how often pet values can be changed
+// Override or add roles with an EDIT_GUARDRAILS env var (JSON), e.g.
+//   {"miniadmin": {"max_change_percent": 100, "on_violation": "review"}}
+// on_violation: 'reject' answers 422, 'review' turns the edit into a proposal (see proposals.js)
+
+import { createClient } from "@supabase/supabase-js";
+import { VALUE_FIELDS } from "./petSchema.js";
+import { parsePetValue } from "./petValues.js";
+import { logAudit } from "./audit.js";
+import { emitWebhookEvent } from "./webhook.js";
+
+// Admin client with service role key (bypasses RLS), edit counts come from audit_log
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// null means no limit for that rule
+const NO_GUARDRAILS = { max_change_percent: null, max_edits_per_pet_per_hour: null, max_edits_per_day: null, on_violation: "reject" };
+
+const DEFAULT_GUARDRAILS = {
+  admin: NO_GUARDRAILS,
+  miniadmin: { max_change_percent: 500, max_edits_per_pet_per_hour: 5, max_edits_per_day: 200, on_violation: "reject" },
+  editor: { max_change_percent: null, max_edits_per_pet_per_hour: 10, max_edits_per_day: 200, on_violation: "reject" }
+};
+
+function loadGuardrails() {
+  if (!process.env.EDIT_GUARDRAILS) return DEFAULT_GUARDRAILS;
+
+  try {
+    const overrides = JSON.parse(process.env.EDIT_GUARDRAILS);
+    const merged = { ...DEFAULT_GUARDRAILS };
+    for (const [role, config] of Object.entries(overrides)) {
+      merged[role] = { ...NO_GUARDRAILS, ...merged[role], ...config };
+    }
+    return merged;
+  } catch (err) {
+    console.error("[Guardrails] Invalid EDIT_GUARDRAILS JSON, using defaults:", err);
+    return DEFAULT_GUARDRAILS;
+  }
+}
+
+const GUARDRAILS = loadGuardrails();
+
+/**
+ * Guardrail settings for a role (rows without a role are full admins)
+ * @param {string} role - admin_users.role
+ * @returns {Object} { max_change_percent, max_edits_per_pet_per_hour, max_edits_per_day, on_violation }
+ */
+function getGuardrails(role) {
+  return GUARDRAILS[role || "admin"] || NO_GUARDRAILS;
+}
+
+// Values are stored as text ("1.5M", or "1,500" on older rows); anything that does not parse is not compared
+function toNumber(value) {
+  const number = parsePetValue(value);
+  return number === null ? NaN : number;
+}
+
+// Zero, empty and unparseable values carry no price to compare against
+function isUnpriced(value) {
+  const number = toNumber(value);
+  return !isFinite(number) || number === 0;
+}
+
+// Human-readable message for one violation
+function describeViolation(violation) {
+  switch (violation.rule) {
+    case "max_change_percent":
+      return violation.last_value
+        ? `${violation.field} changes by ${violation.percent}% from its last value (${violation.from} → ${violation.to}), limit is ${violation.limit}%`
+        : `${violation.field} changes by ${violation.percent}% (${violation.from} → ${violation.to}), limit is ${violation.limit}%`;
+    case "max_edits_per_pet_per_hour":
+      return `${violation.count} edits to this pet in the last hour, limit is ${violation.limit}`;
+    case "max_edits_per_day":
+      return `${violation.count} edits in the last 24 hours, limit is ${violation.limit}`;
+    default:
+      return violation.rule;
+  }
+}
+
+function withMessage(violation) {
+  return { ...violation, message: describeViolation(violation) };
+}
+
+/**
+ * Value changes that swing further than the role's max_change_percent
+ * A value that is 0 or empty now is compared with the last non-zero value the pet had (see fetchLastValues),
+ * so 500 -> 0 -> 5M is still a swing; only a pet that never had a value can be priced freely
+ * @param {string} role - admin_users.role
+ * @param {Object} oldPet - Current pet row
+ * @param {Object} values - Columns about to be written
+ * @param {Object} lastValues - { field: last non-zero value } for this pet from audit_log
+ * @returns {Array<Object>} [{ rule, field, from, to, percent, limit, last_value?, message }]
+ */
+function findValueSwings(role, oldPet, values, lastValues = {}) {
+  const limit = getGuardrails(role).max_change_percent;
+  if (limit === null || limit === undefined) return [];
+
+  const violations = [];
+  for (const field of VALUE_FIELDS) {
+    if (!(field in values)) continue;
+
+    const fromLastValue = isUnpriced(oldPet[field]);
+    const fromValue = fromLastValue ? lastValues[field] : oldPet[field];
+    const from = toNumber(fromValue);
+    const to = toNumber(values[field]);
+    if (!isFinite(from) || !isFinite(to) || from === 0) continue;
+
+    const percent = Math.round((Math.abs(to - from) / Math.abs(from)) * 100);
+    if (percent > limit) {
+      const violation = { rule: "max_change_percent", field, from: fromValue, to: values[field], percent, limit };
+      violations.push(withMessage(fromLastValue ? { ...violation, last_value: true } : violation));
+    }
+  }
+  return violations;
+}
+
+/**
+ * Whether findValueSwings needs the pet's last values, i.e. the role is capped and a value moves away from 0 or empty
+ * @param {string} role - admin_users.role
+ * @param {Object} oldPet - Current pet row
+ * @param {Object} values - Columns about to be written
+ * @returns {boolean}
+ */
+function needsLastValues(role, oldPet, values) {
+  const limit = getGuardrails(role).max_change_percent;
+  if (limit === null || limit === undefined) return false;
+  return VALUE_FIELDS.some((field) => field in values && isUnpriced(oldPet[field]) && !isUnpriced(values[field]));
+}
+
+// Values an audit entry recorded for a field, newest first: { from, to } for edits, the plain value for ADD / RESTORE
+function recordedValues(entry) {
+  if (entry && typeof entry === "object") return [entry.to, entry.from];
+  return [entry];
+}
+
+/**
+ * Last non-zero value per value field for each pet, read from its ADD / EDIT / RESTORE entries in audit_log
+ * @param {Array<number>} petIds - Pets to look up
+ * @returns {Promise<Object>} { lastValues: Map<petId, { field: value }>, error: Object|null }
+ */
+async function fetchLastValues(petIds) {
+  const lastValues = new Map();
+  if (petIds.length === 0) return { lastValues, error: null };
+
+  if (!supabaseAdmin) {
+    return { lastValues, error: new Error("Service role key not configured") };
+  }
+
+  const { data: entries, error } = await supabaseAdmin
+    .from("audit_log")
+    .select("pet_id, changes")
+    .in("pet_id", [...new Set(petIds)])
+    .in("action_type", ["ADD", "EDIT", "RESTORE"])
+    .order("created_at", { ascending: false })
+    .order("id", { ascending: false });
+
+  if (error) return { lastValues, error };
+
+  for (const entry of entries || []) {
+    const found = lastValues.get(entry.pet_id) || {};
+    for (const field of VALUE_FIELDS) {
+      if (field in found || !entry.changes || !(field in entry.changes)) continue;
+      const value = recordedValues(entry.changes[field]).find((candidate) => !isUnpriced(candidate));
+      if (value !== undefined) found[field] = value;
+    }
+    lastValues.set(entry.pet_id, found);
+  }
+
+  return { lastValues, error: null };
+}
+
+/**
+ * Check the role's edit-count limits, counting EDIT and PROPOSE entries in audit_log
+ * @param {Object} admin - Acting admin { username, role }
+ * @param {Array<number>} petIds - Pets about to be edited (one per edit)
+ * @returns {Promise<Object>} { violations: Array<Object>, error: Object|null }
+ */
+async function checkEditQuota(admin, petIds) {
+  const { max_edits_per_pet_per_hour: perPet, max_edits_per_day: perDay } = getGuardrails(admin.role);
+  if ((perPet === null || perPet === undefined) && (perDay === null || perDay === undefined)) {
+    return { violations: [], error: null };
+  }
+
+  if (!supabaseAdmin) {
+    return { violations: [], error: new Error("Service role key not configured") };
+  }
+
+  const now = Date.now();
+  // Approved proposals are logged as EDIT with approved_by; their PROPOSE entry already counted
+  const { data: entries, error } = await supabaseAdmin
+    .from("audit_log")
+    .select("pet_id, created_at")
+    .eq("username", admin.username)
+    .in("action_type", ["EDIT", "PROPOSE"])
+    .is("changes->>approved_by", null)
+    .gte("created_at", new Date(now - DAY_MS).toISOString());
+
+  if (error) return { violations: [], error };
+
+  const violations = [];
+  const recent = entries || [];
+
+  if (perDay !== null && perDay !== undefined && recent.length + petIds.length > perDay) {
+    violations.push(withMessage({ rule: "max_edits_per_day", count: recent.length, limit: perDay }));
+  }
+
+  if (perPet !== null && perPet !== undefined) {
+    const hourAgo = now - HOUR_MS;
+    for (const petId of new Set(petIds)) {
+      const count = recent.filter((entry) => entry.pet_id === petId && Date.parse(entry.created_at) > hourAgo).length;
+      const pending = petIds.filter((id) => id === petId).length;
+      if (count + pending > perPet) {
+        violations.push(withMessage({ rule: "max_edits_per_pet_per_hour", pet_id: petId, count, limit: perPet }));
+      }
+    }
+  }
+
+  return { violations, error: null };
+}
+
+/**
+ * Run every guardrail for one pet edit
+ * @param {Object} admin - Acting admin { username, role }
+ * @param {Object} pet - Current pet row
+ * @param {Object} values - Changed columns about to be written
+ * @returns {Promise<Object>} { violations: Array<Object>, error: Object|null }
+ */
+async function checkGuardrails(admin, pet, values) {
+  let lastValues = {};
+  if (needsLastValues(admin.role, pet, values)) {
+    const { lastValues: found, error } = await fetchLastValues([pet.id]);
+    if (error) return { violations: [], error };
+    lastValues = found.get(pet.id) || {};
+  }
+
+  const swings = findValueSwings(admin.role, pet, values, lastValues);
+  const { violations: quota, error } = await checkEditQuota(admin, [pet.id]);
+  return { violations: [...swings, ...quota], error };
+}
+
+/**
+ * Flag a blocked edit in audit_log and announce it through the webhook
+ * @param {Object} admin - Acting admin { username, role }
+ * @param {Object} pet - Pet row the edit targeted
+ * @param {Array<Object>} violations - Violations found
+ * @param {Object} changes - Attempted { field: { from, to } }
+ * @returns {Promise<void>}
+ */
+async function recordGuardrailBlock(admin, pet, violations, changes) {
+  // Nested under attempted_changes so pet history does not show values that never went live
+  await logAudit(admin.username, "GUARDRAIL_BLOCK", pet.id, pet.name, {
+    violations,
+    attempted_changes: changes
+  }, admin.role);
+
+  await emitWebhookEvent("guardrail.blocked", {
+    actor: { username: admin.username, role: admin.role || "admin" },
+    pet: { id: pet.id, name: pet.name },
+    violations,
+    attempted_changes: changes
+  });
+}
+
+// Export functions
+export {
+  getGuardrails,
+  findValueSwings,
+  needsLastValues,
+  fetchLastValues,
+  checkEditQuota,
+  checkGuardrails,
+  recordGuardrailBlock
+};
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/guardrails.js
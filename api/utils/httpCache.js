@@ -0,0 +1,75 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/httpCache.js
+
+// Debug warning: ETag / Last-Modified helpers for conditional GET (304 Not Modified)
+
+import { createHash } from "crypto";
+
+/**
+ * Build a weak ETag from any JSON-serialisable parts
+ * @param {...*} parts - Values that together identify the response version
+ * @returns {string} e.g. W/"3f2a..."
+ */
+function computeETag(...parts) {
+  const hash = createHash("sha1").update(JSON.stringify(parts)).digest("base64url");
+  return `W/"${hash}"`;
+}
+
+// Weak comparison: W/"x" and "x" are the same validator
+function stripWeak(tag) {
+  return tag.trim().replace(/^W\//, "");
+}
+
+/**
+ * Whether the request carries a conditional header (If-None-Match or If-Modified-Since)
+ * @param {Object} req - Vercel request object
+ * @returns {boolean}
+ */
+function isConditionalRequest(req) {
+  return Boolean(req.headers["if-none-match"] || req.headers["if-modified-since"]);
+}
+
+/**
+ * Check the request's conditional headers against the current validators
+ * If-None-Match wins over If-Modified-Since when both are sent (RFC 9110)
+ * @param {Object} req - Vercel request object
+ * @param {string} etag - Current ETag
+ * @param {Date|null} lastModified - Current last modification time
+ * @returns {boolean} true when a 304 should be returned
+ */
+function isNotModified(req, etag, lastModified) {
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === "*") return true;
+    const current = stripWeak(etag);
+    return ifNoneMatch.split(",").some((tag) => stripWeak(tag) === current);
+  }
+
+  const ifModifiedSince = req.headers["if-modified-since"];
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    // HTTP dates have second precision
+    return !isNaN(since) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+  }
+
+  return false;
+}
+
+/**
+ * Set ETag and Last-Modified response headers
+ * @param {Object} res - Vercel response object
+ * @param {string} etag - Current ETag
+ * @param {Date|null} lastModified - Current last modification time
+ */
+function setValidators(res, etag, lastModified) {
+  res.setHeader("ETag", etag);
+  if (lastModified) {
+    res.setHeader("Last-Modified", lastModified.toUTCString());
+  }
+}
+
+// Export functions
+export { computeETag, isConditionalRequest, isNotModified, setValidators };
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/httpCache.js
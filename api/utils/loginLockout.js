@@ -0,0 +1,164 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/loginLockout.js
+
+// Debug warning: Failed-login tracking and progressive per-account lockout, shared by every auth path
+// login_attempts: id, username, ip, reason ('not_found' | 'invalid_password' | 'locked'), path, created_at
+// admin_lockouts: username (unique), failed_count, locked_until, last_failed_at, last_ip
+// Unknown usernames are tracked and locked exactly like real ones, so a lockout never reveals whether an account exists
+
+import { createClient } from "@supabase/supabase-js";
+import { emitWebhookEvent } from "./webhook.js";
+
+// Admin client with service role key (bypasses RLS)
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null;
+
+// 5 failures in a row lock the account for 1 minute, every further failure doubles it (capped at 24 hours)
+// The count starts over once the last failure is FAILURE_WINDOW_MS old and no lock is running, so one
+// bad password per lockout period cannot keep an account locked for a day
+const LOCKOUT_THRESHOLD = 5;
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const MAX_USERNAME_LENGTH = 100;
+
+function lockoutDuration(failedCount) {
+  if (failedCount < LOCKOUT_THRESHOLD) return 0;
+  return Math.min(BASE_LOCKOUT_MS * 2 ** (failedCount - LOCKOUT_THRESHOLD), MAX_LOCKOUT_MS);
+}
+
+// Attackers choose the username, keep what gets stored bounded
+function normalizeUsername(username) {
+  return String(username).slice(0, MAX_USERNAME_LENGTH);
+}
+
+/**
+ * Current lockout state for a username (fails open: a database error never blocks logins)
+ * @param {string} username - Username as submitted
+ * @returns {Promise<Object>} { failedCount: number, lockedUntil: number|null } lockedUntil is a ms timestamp in the future
+ */
+async function getLockout(username) {
+  if (!supabaseAdmin) return { failedCount: 0, lockedUntil: null };
+
+  const { data, error } = await supabaseAdmin
+    .from("admin_lockouts")
+    .select("failed_count, locked_until, last_failed_at")
+    .eq("username", normalizeUsername(username))
+    .maybeSingle();
+
+  if (error) {
+    console.error("[Lockout Error] Failed to read lockout:", error);
+    return { failedCount: 0, lockedUntil: null };
+  }
+
+  const now = Date.now();
+  const lockedUntil = data && data.locked_until ? Date.parse(data.locked_until) : null;
+  const locked = Boolean(lockedUntil && lockedUntil > now);
+  const lastFailedAt = data && data.last_failed_at ? Date.parse(data.last_failed_at) : null;
+  const stale = !locked && (!lastFailedAt || now - lastFailedAt > FAILURE_WINDOW_MS);
+
+  return {
+    failedCount: data && !stale ? data.failed_count : 0,
+    lockedUntil: locked ? lockedUntil : null
+  };
+}
+
+/**
+ * Record one failed login and extend the lockout; only a failure that locks the account is announced through the webhook
+ * Attempts made while locked are logged but do not extend the lockout
+ * @param {string} username - Username as submitted
+ * @param {Object} context - { ip, path, reason }
+ * @returns {Promise<Object>} { failedCount: number, lockedUntil: number|null }
+ */
+async function recordLoginFailure(username, context) {
+  if (!supabaseAdmin) {
+    console.warn("[Lockout Warning] Service role key not configured, failed login not recorded");
+    return { failedCount: 0, lockedUntil: null };
+  }
+
+  const name = normalizeUsername(username);
+  const { ip = "unknown", path = null, reason } = context;
+
+  const { error: attemptError } = await supabaseAdmin
+    .from("login_attempts")
+    .insert({ username: name, ip, reason, path });
+
+  if (attemptError) {
+    console.error("[Lockout Error] Failed to log attempt:", attemptError);
+  }
+
+  if (reason === "locked") {
+    return getLockout(name);
+  }
+
+  // Debug warning: Read-then-write, so simultaneous failures can undercount by one or two
+  const { failedCount: previous } = await getLockout(name);
+  const failedCount = previous + 1;
+  const duration = lockoutDuration(failedCount);
+  const now = Date.now();
+  const lockedUntil = duration > 0 ? now + duration : null;
+
+  const { error } = await supabaseAdmin
+    .from("admin_lockouts")
+    .upsert({
+      username: name,
+      failed_count: failedCount,
+      locked_until: lockedUntil ? new Date(lockedUntil).toISOString() : null,
+      last_failed_at: new Date(now).toISOString(),
+      last_ip: ip
+    }, { onConflict: "username" });
+
+  if (error) {
+    console.error("[Lockout Error] Failed to update lockout:", error);
+  }
+
+  // Debug warning: Single failures are not announced, otherwise password guessing turns into webhook spam
+  if (lockedUntil) {
+    console.warn("[Lockout] Locked", name, "until", new Date(lockedUntil).toISOString(), "after", failedCount, "failures");
+
+    await emitWebhookEvent("auth.login_failed", {
+      username: name,
+      ip,
+      reason,
+      path,
+      failed_count: failedCount,
+      locked_until: new Date(lockedUntil).toISOString()
+    });
+  }
+
+  return { failedCount, lockedUntil };
+}
+
+/**
+ * Reset the failure count and lift any lockout (successful login or admin action)
+ * @param {string} username - Username
+ * @returns {Promise<boolean>} True when a lockout row was removed
+ */
+async function clearLoginFailures(username) {
+  if (!supabaseAdmin) return false;
+
+  const { data, error } = await supabaseAdmin
+    .from("admin_lockouts")
+    .delete()
+    .eq("username", normalizeUsername(username))
+    .select("username");
+
+  if (error) {
+    console.error("[Lockout Error] Failed to clear lockout:", error);
+    return false;
+  }
+
+  return (data || []).length > 0;
+}
+
+// Export functions
+export {
+  LOCKOUT_THRESHOLD,
+  getLockout,
+  recordLoginFailure,
+  clearLoginFailures
+};
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/loginLockout.js
@@ -0,0 +1,111 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/password.js
+
+// Debug warning: Password hashing helpers for admin_users.password
+// Stored format: scrypt$N$r$p$<salt base64>$<hash base64>
+
+import { scrypt, randomBytes, timingSafeEqual, createHash } from "crypto";
+
+const HASH_PREFIX = "scrypt";
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const MIN_PASSWORD_LENGTH = 10;
+const MAX_PASSWORD_LENGTH = 200;
+
+// Promise wrapper around crypto.scrypt
+function deriveKey(password, salt, N, r, p, keyLength) {
+  return new Promise((resolve, reject) => {
+    scrypt(password, salt, keyLength, { N, r, p, maxmem: 128 * N * r * 2 }, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  });
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} Encoded hash safe to store in admin_users.password
+ */
+async function hashPassword(password) {
+  const salt = randomBytes(SALT_BYTES);
+  const key = await deriveKey(String(password), salt, SCRYPT_N, SCRYPT_R, SCRYPT_P, KEY_LENGTH);
+  return [HASH_PREFIX, SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString("base64"), key.toString("base64")].join("$");
+}
+
+/**
+ * Check whether a stored value is one of our hashes (vs legacy plaintext)
+ * @param {string} stored - Value from admin_users.password
+ * @returns {boolean}
+ */
+function isPasswordHash(stored) {
+  return typeof stored === "string" && stored.startsWith(`${HASH_PREFIX}$`);
+}
+
+// Constant-time string comparison that does not leak length
+function safeEqual(a, b) {
+  const digestA = createHash("sha256").update(String(a)).digest();
+  const digestB = createHash("sha256").update(String(b)).digest();
+  return timingSafeEqual(digestA, digestB);
+}
+
+/**
+ * Verify a password against a stored hash or legacy plaintext value
+ * @param {string} password - Plaintext password supplied by the client
+ * @param {string} stored - Value from admin_users.password
+ * @returns {Promise<Object>} { valid: boolean, needsRehash: boolean }
+ */
+async function verifyPassword(password, stored) {
+  if (typeof password !== "string" || typeof stored !== "string" || !stored) {
+    return { valid: false, needsRehash: false };
+  }
+
+  // Debug warning: Legacy plaintext row - compare, then caller upgrades it
+  if (!isPasswordHash(stored)) {
+    const valid = safeEqual(password, stored);
+    return { valid, needsRehash: valid };
+  }
+
+  const parts = stored.split("$");
+  if (parts.length !== 6) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const [, N, r, p, saltB64, hashB64] = parts;
+  const expected = Buffer.from(hashB64, "base64");
+  const key = await deriveKey(password, Buffer.from(saltB64, "base64"), Number(N), Number(r), Number(p), expected.length);
+  const valid = key.length === expected.length && timingSafeEqual(key, expected);
+
+  // Rehash if the cost parameters were raised since this hash was made
+  const outdated = Number(N) !== SCRYPT_N || Number(r) !== SCRYPT_R || Number(p) !== SCRYPT_P;
+  return { valid, needsRehash: valid && outdated };
+}
+
+/**
+ * Check a new password against the length policy
+ * @param {string} password - Proposed password
+ * @returns {string|null} Error message, or null when acceptable
+ */
+function validateNewPassword(password) {
+  if (typeof password !== "string") return "Password is required";
+  if (password.length < MIN_PASSWORD_LENGTH) return `Must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  if (password.length > MAX_PASSWORD_LENGTH) return `Must be at most ${MAX_PASSWORD_LENGTH} characters`;
+  return null;
+}
+
+/**
+ * Random password for invited accounts (shown once, to be changed on first login)
+ * @returns {string}
+ */
+function generateTemporaryPassword() {
+  return randomBytes(18).toString("base64url");
+}
+
+// Export functions
+export { hashPassword, verifyPassword, isPasswordHash, validateNewPassword, generateTemporaryPassword };
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/password.js
@@ -0,0 +1,166 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/permissions.js
+
+// Debug warning: Central role -> permission matrix, replaces scattered role === 'miniadmin' checks
+// Override or add roles with a ROLE_PERMISSIONS env var (JSON), e.g.
+//   {"editor": {"actions": ["edit"], "fields": ["how_to_get"], "notify_edits": true}}
+// Turn miniadmin edits into proposals an admin has to approve with {"miniadmin": {"requires_approval": true}}
+// Make full admins enroll in TOTP before they can sign in with {"admin": {"requires_2fa": true}}
+
+import { PET_FIELDS, VALUE_FIELDS, validatePetPayload } from "./petSchema.js";
+import { parsePetValue } from "./petValues.js";
+
+// create / edit / delete (incl. trash) / restore (from audit) / approve (proposals) / view_audit (everyone's entries)
+// manage_webhooks / manage_admins
+const ACTIONS = ["create", "edit", "delete", "restore", "approve", "view_audit", "manage_webhooks", "manage_admins"];
+
+// fields: pet columns the role may change; notify_edits: announce the role's edits via webhook
+// requires_approval: the role's edits become pending proposals instead of going live
+// requires_2fa: accounts with the role must have TOTP enabled to sign in (see totp.js)
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: { actions: ACTIONS, fields: PET_FIELDS, notify_edits: false, requires_approval: false, requires_2fa: false },
+  miniadmin: { actions: ["edit"], fields: VALUE_FIELDS, notify_edits: true, requires_approval: false, requires_2fa: false },
+  editor: { actions: ["edit"], fields: ["how_to_get", "image_url"], notify_edits: true, requires_approval: false, requires_2fa: false },
+  viewer: { actions: [], fields: [], notify_edits: false, requires_approval: false, requires_2fa: false }
+};
+
+function loadRolePermissions() {
+  if (!process.env.ROLE_PERMISSIONS) return DEFAULT_ROLE_PERMISSIONS;
+
+  try {
+    const overrides = JSON.parse(process.env.ROLE_PERMISSIONS);
+    const merged = { ...DEFAULT_ROLE_PERMISSIONS };
+    for (const [role, config] of Object.entries(overrides)) {
+      merged[role] = { actions: [], fields: [], notify_edits: false, requires_approval: false, requires_2fa: false, ...merged[role], ...config };
+    }
+    return merged;
+  } catch (err) {
+    console.error("[Permissions] Invalid ROLE_PERMISSIONS JSON, using defaults:", err);
+    return DEFAULT_ROLE_PERMISSIONS;
+  }
+}
+
+const ROLE_PERMISSIONS = loadRolePermissions();
+
+// Rows without a role predate roles and are full admins; only own keys count, so "toString" is not a role
+function getRolePermissions(role) {
+  const name = role || "admin";
+  return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, name)
+    ? ROLE_PERMISSIONS[name]
+    : { actions: [], fields: [], notify_edits: false, requires_approval: false, requires_2fa: false };
+}
+
+/**
+ * Check whether a role exists in the permission matrix (defaults plus ROLE_PERMISSIONS)
+ * @param {string} role - Role name
+ * @returns {boolean}
+ */
+function isKnownRole(role) {
+  return typeof role === "string" && Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+}
+
+/**
+ * Check whether a role may perform an action
+ * @param {string} role - admin_users.role
+ * @param {string} action - One of ACTIONS
+ * @returns {boolean}
+ */
+function can(role, action) {
+  return getRolePermissions(role).actions.includes(action);
+}
+
+/**
+ * Pet fields a role may change
+ * @param {string} role - admin_users.role
+ * @returns {Array<string>}
+ */
+function getWritableFields(role) {
+  const { fields } = getRolePermissions(role);
+  return PET_FIELDS.filter((field) => fields.includes(field));
+}
+
+/**
+ * Whether edits by this role are announced through the webhook
+ * @param {string} role - admin_users.role
+ * @returns {boolean}
+ */
+function notifiesEdits(role) {
+  return Boolean(getRolePermissions(role).notify_edits);
+}
+
+/**
+ * Whether edits by this role are held as proposals until an admin approves them
+ * @param {string} role - admin_users.role
+ * @returns {boolean}
+ */
+function requiresApproval(role) {
+  return Boolean(getRolePermissions(role).requires_approval);
+}
+
+/**
+ * Whether accounts with this role must have two-factor authentication enabled
+ * @param {string} role - admin_users.role
+ * @returns {boolean}
+ */
+function requiresTwoFactor(role) {
+  return Boolean(getRolePermissions(role).requires_2fa);
+}
+
+/**
+ * Fields in the body the role may not write that would actually change the pet
+ * Unchanged read-only fields are fine, so panels can keep sending full rows
+ * @param {string} role - admin_users.role
+ * @param {Object} body - Request body
+ * @param {Object|null} currentPet - Current row (null for creates)
+ * @returns {Array<string>} Refused field names
+ */
+function findRefusedFields(role, body, currentPet) {
+  const writable = getWritableFields(role);
+  const readOnly = PET_FIELDS.filter((field) => !writable.includes(field) && body && body[field] !== undefined);
+  if (readOnly.length === 0) return [];
+
+  // Compare normalised values so "legendary" vs "Legendary" is not a change
+  const { value: normalized } = validatePetPayload(body, { partial: true, fields: readOnly, current: currentPet });
+
+  return readOnly.filter((field) => {
+    const next = field in normalized ? normalized[field] : body[field];
+    const current = currentPet ? currentPet[field] ?? null : null;
+
+    // Rows saved before canonical values still hold "1500000" where panels now send "1.5M"
+    if (VALUE_FIELDS.includes(field) && next !== null && current !== null) {
+      const number = parsePetValue(next);
+      if (number !== null && number === parsePetValue(current)) return false;
+    }
+
+    return (next ?? null) !== current;
+  });
+}
+
+/**
+ * Body for a 403 naming the refused field(s)
+ * @param {Array<string>} fields - Refused fields
+ * @returns {Object}
+ */
+function refusedFieldsError(fields) {
+  return {
+    error: `Insufficient permissions to change field: ${fields[0]}`,
+    field: fields[0],
+    fields
+  };
+}
+
+// Export functions
+export {
+  ACTIONS,
+  isKnownRole,
+  can,
+  getWritableFields,
+  notifiesEdits,
+  requiresApproval,
+  requiresTwoFactor,
+  findRefusedFields,
+  refusedFieldsError
+};
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/permissions.js
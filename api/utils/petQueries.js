@@ -0,0 +1,332 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/petQueries.js
+
+// Debug warning: Shared read helpers for the pets table so list and single reads return the same fields
+
+import { VALUE_NUMBER_COLUMNS } from "./petSchema.js";
+
+// Columns returned by every public pet read (includes how_to_get field and the numeric value copies)
+const PET_PUBLIC_COLUMNS = "id, name, rarity, stats, stats_type, value_normal, value_golden, value_rainbow, value_void, "
+  + "value_normal_num, value_golden_num, value_rainbow_num, value_void_num, image_url, how_to_get, updated_at";
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Sorting by a value field orders by its numeric column (rows whose value never parsed come last)
+const SORTABLE_COLUMNS = ["id", "name", "value_normal", "value_golden", "value_rainbow", "value_void", "updated_at"];
+const MAX_LIST_LIMIT = 500;
+
+// PostgREST answers at most 1000 rows per request (default max-rows), so full reads go page by page
+const FULL_READ_PAGE_SIZE = 1000;
+const MAX_SEARCH_LENGTH = 100;
+
+/**
+ * Turn a pet name into a URL slug ("Mr. Fluffy" -> "mr-fluffy")
+ * @param {string} name - Pet name
+ * @returns {string}
+ */
+function slugifyPetName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Fetch one live (not trashed) pet by numeric id or case-insensitive name slug
+ * @param {Object} client - Supabase client
+ * @param {string} idOrSlug - Route parameter
+ * @returns {Promise<Object>} { pet: Object|null, error: Object|null, invalid: boolean }
+ */
+async function fetchPetByIdOrSlug(client, idOrSlug) {
+  const raw = String(idOrSlug || "").trim();
+
+  if (/^\d+$/.test(raw)) {
+    const { data, error } = await client
+      .from("pets")
+      .select(PET_PUBLIC_COLUMNS)
+      .eq("id", parseInt(raw, 10))
+      .is("deleted_at", null)
+      .maybeSingle();
+
+    return { pet: data || null, error, invalid: false };
+  }
+
+  const slug = raw.toLowerCase();
+  if (!SLUG_PATTERN.test(slug)) {
+    return { pet: null, error: null, invalid: true };
+  }
+
+  // Debug warning: Each dash may stand for any run of separators in the name, so narrow with ilike then compare slugs
+  const { data, error } = await client
+    .from("pets")
+    .select(PET_PUBLIC_COLUMNS)
+    .ilike("name", slug.replace(/-/g, "%"))
+    .is("deleted_at", null)
+    .order("id", { ascending: true });
+
+  if (error) {
+    return { pet: null, error, invalid: false };
+  }
+
+  const pet = (data || []).find((row) => slugifyPetName(row.name) === slug) || null;
+  return { pet, error: null, invalid: false };
+}
+
+// Escape LIKE wildcards so user search text is matched literally
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, (ch) => `\\${ch}`);
+}
+
+// Quote a value for a PostgREST or() filter
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/["\\]/g, (ch) => `\\${ch}`)}"`;
+}
+
+function encodeCursor(row, sort) {
+  return Buffer.from(JSON.stringify({ v: row[sort] ?? null, id: row.id })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!parsed || typeof parsed.id !== "number") return null;
+    return { v: parsed.v ?? null, id: parsed.id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse GET /api/pets query parameters
+ *   rarity=Legendary,Mythical  q=dragon  updated_since=ISO date
+ *   sort=id|name|value_normal|value_golden|value_rainbow|value_void|updated_at  order=asc|desc
+ *   limit=1..500 with offset=N or cursor=<X-Next-Cursor from the previous page>
+ * @param {Object} query - req.query
+ * @returns {Object} { options: Object|null, errors: Object<string, string> }
+ */
+function parsePetListQuery(query = {}) {
+  const errors = {};
+  const options = {
+    rarities: null,
+    search: null,
+    updatedSince: null,
+    sort: "id",
+    ascending: false,
+    limit: null,
+    offset: 0,
+    cursor: null
+  };
+
+  if (query.rarity) {
+    options.rarities = String(query.rarity).split(",").map((r) => r.trim()).filter(Boolean);
+  }
+
+  if (query.q) {
+    const search = String(query.q).trim();
+    if (search.length > MAX_SEARCH_LENGTH) errors.q = `Must be at most ${MAX_SEARCH_LENGTH} characters`;
+    else if (search) options.search = search;
+  }
+
+  if (query.updated_since) {
+    const since = new Date(String(query.updated_since));
+    if (isNaN(since.getTime())) errors.updated_since = "Must be an ISO 8601 date";
+    else options.updatedSince = since.toISOString();
+  }
+
+  if (query.sort) {
+    if (!SORTABLE_COLUMNS.includes(query.sort)) errors.sort = `Must be one of: ${SORTABLE_COLUMNS.join(", ")}`;
+    else options.sort = VALUE_NUMBER_COLUMNS[query.sort] || query.sort;
+  }
+
+  // Names read naturally A-Z, everything else newest/highest first
+  options.ascending = options.sort === "name";
+  if (query.order) {
+    if (query.order !== "asc" && query.order !== "desc") errors.order = "Must be asc or desc";
+    else options.ascending = query.order === "asc";
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) errors.limit = `Must be an integer from 1 to ${MAX_LIST_LIMIT}`;
+    else options.limit = limit;
+  }
+
+  if (query.offset !== undefined) {
+    const offset = Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) errors.offset = "Must be a non-negative integer";
+    else options.offset = offset;
+  }
+
+  if (query.cursor !== undefined) {
+    options.cursor = decodeCursor(query.cursor);
+    if (!options.cursor) errors.cursor = "Invalid cursor";
+    else if (query.offset !== undefined) errors.offset = "Cannot combine offset with cursor";
+  }
+
+  if ((options.offset || options.cursor) && !options.limit && !errors.limit) {
+    errors.limit = "Required when paginating";
+  }
+
+  return { options: Object.keys(errors).length ? null : options, errors };
+}
+
+// Apply filters (not ordering/pagination) to a pets query builder
+function applyPetListFilters(builder, options) {
+  let query = builder.is("deleted_at", null);
+  if (options.rarities) query = query.in("rarity", options.rarities);
+  if (options.search) query = query.ilike("name", `%${escapeLike(options.search)}%`);
+  if (options.updatedSince) query = query.gte("updated_at", options.updatedSince);
+  return query;
+}
+
+// Keyset condition: rows strictly after the cursor row in (sort, id) order
+function applyCursor(builder, options) {
+  const { sort, ascending, cursor } = options;
+  const op = ascending ? "gt" : "lt";
+
+  if (sort === "id") {
+    return builder[op]("id", cursor.id);
+  }
+
+  // Debug warning: NULL sort values are ordered last, so after a NULL only more NULLs remain
+  if (cursor.v === null) {
+    return builder.is(sort, null)[op]("id", cursor.id);
+  }
+
+  const value = quoteFilterValue(cursor.v);
+  return builder.or(`${sort}.${op}.${value},and(${sort}.eq.${value},id.${op}.${cursor.id}),${sort}.is.null`);
+}
+
+/**
+ * Run a filtered, sorted, paginated pets list query
+ * @param {Object} client - Supabase client
+ * @param {Object} options - Parsed options from parsePetListQuery
+ * @returns {Promise<Object>} { pets: Array, total: number|null, nextCursor: string|null, error: Object|null }
+ */
+async function fetchPetList(client, options) {
+  let query = applyPetListFilters(
+    client.from("pets").select(PET_PUBLIC_COLUMNS, { count: "exact" }),
+    options
+  );
+
+  if (options.cursor) query = applyCursor(query, options);
+
+  query = query
+    .order(options.sort, { ascending: options.ascending, nullsFirst: false })
+    .order("id", { ascending: options.ascending });
+
+  if (options.limit) {
+    query = query.range(options.offset, options.offset + options.limit - 1);
+  }
+
+  const { data: pets, count, error } = await query;
+  if (error) return { pets: [], total: null, nextCursor: null, error };
+
+  let total = count ?? null;
+
+  // With a cursor the count above only covers the remaining rows, so count the full filtered set
+  if (options.cursor) {
+    const { count: fullCount, error: countError } = await applyPetListFilters(
+      client.from("pets").select("id", { count: "exact", head: true }),
+      options
+    );
+    if (countError) return { pets: [], total: null, nextCursor: null, error: countError };
+    total = fullCount ?? null;
+  }
+
+  const rows = pets || [];
+  const hasMore = Boolean(options.limit) && rows.length === options.limit;
+  const nextCursor = hasMore ? encodeCursor(rows[rows.length - 1], options.sort) : null;
+
+  return { pets: rows, total, nextCursor, error: null };
+}
+
+/**
+ * Find a pet by exact name, ignoring case
+ * @param {Object} client - Supabase client
+ * @param {string} name - Pet name
+ * @param {Object} options - { includeDeleted: also match pets in the trash (adds deleted_at) }
+ * @returns {Promise<Object>} { pet: Object|null, error: Object|null }
+ */
+async function fetchPetByName(client, name, { includeDeleted = false } = {}) {
+  let query = client
+    .from("pets")
+    .select(includeDeleted ? `${PET_PUBLIC_COLUMNS}, deleted_at` : PET_PUBLIC_COLUMNS)
+    .ilike("name", escapeLike(String(name).trim()));
+
+  if (!includeDeleted) query = query.is("deleted_at", null);
+
+  const { data, error } = await query.limit(1);
+  return { pet: data?.[0] || null, error };
+}
+
+/**
+ * Every pet, id ascending, read page by page so the max-rows cap cannot cut the list short
+ * @param {Object} client - Supabase client
+ * @param {Object} options - { columns: select list (default PET_PUBLIC_COLUMNS), includeDeleted: also return pets in the trash }
+ * @returns {Promise<Object>} { pets: Array<Object>, error: Object|null }
+ */
+async function fetchAllPets(client, { columns = PET_PUBLIC_COLUMNS, includeDeleted = false } = {}) {
+  const pets = [];
+  for (let offset = 0; ; offset += FULL_READ_PAGE_SIZE) {
+    let query = client
+      .from("pets")
+      .select(columns)
+      .order("id", { ascending: true });
+
+    if (!includeDeleted) query = query.is("deleted_at", null);
+
+    const { data, error } = await query.range(offset, offset + FULL_READ_PAGE_SIZE - 1);
+    if (error) return { pets: [], error };
+
+    pets.push(...(data || []));
+    if (!data || data.length < FULL_READ_PAGE_SIZE) break;
+  }
+  return { pets, error: null };
+}
+
+/**
+ * Cheap version of the whole list: latest updated_at and live row count
+ * Soft deletes bump updated_at, so the max is taken over trashed rows too
+ * @param {Object} client - Supabase client for pets
+ * @returns {Promise<Object>} { version: string|null, lastModified: Date|null, error: Object|null }
+ */
+async function fetchPetListVersion(client) {
+  const [latest, live] = await Promise.all([
+    client
+      .from("pets")
+      .select("updated_at")
+      .order("updated_at", { ascending: false, nullsFirst: false })
+      .limit(1),
+    client
+      .from("pets")
+      .select("id", { count: "exact", head: true })
+      .is("deleted_at", null)
+  ]);
+
+  const error = latest.error || live.error;
+  if (error) return { version: null, lastModified: null, error };
+
+  const lastChange = latest.data?.[0]?.updated_at ? new Date(latest.data[0].updated_at) : null;
+
+  return {
+    version: `${lastChange ? lastChange.toISOString() : "none"}:${live.count ?? 0}`,
+    lastModified: lastChange,
+    error: null
+  };
+}
+
+// Export functions
+export {
+  PET_PUBLIC_COLUMNS,
+  slugifyPetName,
+  fetchPetByIdOrSlug,
+  fetchPetByName,
+  fetchAllPets,
+  parsePetListQuery,
+  fetchPetList,
+  fetchPetListVersion
+};
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/petQueries.js
@@ -0,0 +1,191 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/petSchema.js
+
+// Debug warning: Single pet payload schema used by every write path (POST, PUT, import)
+// Invalid payloads are answered with 400 { error, fields: { field: message } }
+// Value fields are stored in canonical display form ("1.5M") next to a numeric copy in value_*_num (see petValues.js)
+
+import { parsePetValue, formatPetValue } from "./petValues.js";
+
+// Allowed rarities, overridable with a comma-separated PET_RARITIES env var
+const PET_RARITIES = process.env.PET_RARITIES
+  ? process.env.PET_RARITIES.split(",").map((r) => r.trim()).filter(Boolean)
+  : ["Common", "Uncommon", "Rare", "Epic", "Legendary", "Mythical", "Secret", "Exclusive"];
+
+const PET_STATS_TYPES = ["value", "percent", "multiplier"];
+
+const VALUE_FIELDS = ["value_normal", "value_golden", "value_rainbow", "value_void"];
+
+// Numeric column kept in sync with each value field, used for sorting and comparisons
+const VALUE_NUMBER_COLUMNS = {
+  value_normal: "value_normal_num",
+  value_golden: "value_golden_num",
+  value_rainbow: "value_rainbow_num",
+  value_void: "value_void_num"
+};
+
+// Every field a client may write, in table order
+const PET_FIELDS = ["name", "rarity", "stats", "stats_type", ...VALUE_FIELDS, "image_url", "how_to_get"];
+
+const REQUIRED_FIELDS = ["name", "rarity"];
+
+// Defaults for fields missing on create / full replace
+const PET_DEFAULTS = {
+  stats: "0",
+  stats_type: "value",
+  value_normal: "0",
+  value_golden: "0",
+  value_rainbow: "0",
+  value_void: "0",
+  image_url: null,
+  how_to_get: null
+};
+
+const MAX_LENGTHS = {
+  name: 60,
+  stats: 50,
+  value_normal: 30,
+  value_golden: 30,
+  value_rainbow: 30,
+  value_void: 30,
+  image_url: 500,
+  how_to_get: 500
+};
+
+// Printable text without control characters
+const PRINTABLE_PATTERN = /^[^\u0000-\u001f\u007f]*$/;
+
+// Coerce to a trimmed string, null for empty; undefined when the type is wrong
+function toText(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "number" && Number.isFinite(value)) return String(value);
+  if (typeof value !== "string") return undefined;
+  const text = value.trim();
+  return text === "" ? null : text;
+}
+
+function isHttpUrl(text) {
+  try {
+    const url = new URL(text);
+    return url.protocol === "https:" || url.protocol === "http:";
+  } catch {
+    return false;
+  }
+}
+
+// Rarity and stats type must come from the configured lists, except a value the row already holds
+function isStoredValue(text, stored) {
+  return typeof stored === "string" && stored.trim().toLowerCase() === text.toLowerCase();
+}
+
+// Validate one field against the stored value (if any); returns { value } or { error }
+function validateField(field, raw, stored) {
+  const text = toText(raw);
+  if (text === undefined) return { error: "Must be a string" };
+  if (text === null) return { value: null };
+
+  if (MAX_LENGTHS[field] && text.length > MAX_LENGTHS[field]) {
+    return { error: `Must be at most ${MAX_LENGTHS[field]} characters` };
+  }
+
+  // how_to_get may span lines, everything else is single-line text
+  if (field !== "how_to_get" && !PRINTABLE_PATTERN.test(text)) {
+    return { error: "Contains invalid characters" };
+  }
+
+  switch (field) {
+    case "rarity": {
+      const rarity = PET_RARITIES.find((r) => r.toLowerCase() === text.toLowerCase());
+      if (rarity) return { value: rarity };
+      return isStoredValue(text, stored) ? { value: stored } : { error: `Must be one of: ${PET_RARITIES.join(", ")}` };
+    }
+    case "stats_type": {
+      const statsType = text.toLowerCase();
+      if (PET_STATS_TYPES.includes(statsType)) return { value: statsType };
+      return isStoredValue(text, stored) ? { value: stored } : { error: `Must be one of: ${PET_STATS_TYPES.join(", ")}` };
+    }
+    case "image_url":
+      return isHttpUrl(text) ? { value: text } : { error: "Must be an http(s) URL" };
+    case "value_normal":
+    case "value_golden":
+    case "value_rainbow":
+    case "value_void": {
+      const number = parsePetValue(text);
+      return number === null
+        ? { error: "Must be a number like 1500, 1,500 or 1.5K (K, M, B, T suffixes allowed)" }
+        : { value: formatPetValue(number) };
+    }
+    default:
+      return { value: text };
+  }
+}
+
+/**
+ * Validate and normalise a pet payload
+ * @param {Object} body - Request body
+ * @param {Object} options
+ * @param {boolean} options.partial - Only validate fields present in body (no required fields, no defaults);
+ *   null or blank values count as not supplied, so an empty CSV cell leaves the stored value alone
+ * @param {Array<string>} options.fields - Subset of PET_FIELDS to consider (others are ignored)
+ * @param {Object} options.current - Stored row being updated; its rarity/stats_type stay valid even when no longer listed
+ * @returns {Object} { value: Object, errors: Object<string, string>|null }
+ */
+function validatePetPayload(body, { partial = false, fields = PET_FIELDS, current = null } = {}) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { value: {}, errors: { body: "Must be a JSON object" } };
+  }
+
+  const value = {};
+  const errors = {};
+
+  for (const field of fields) {
+    const present = body[field] !== undefined;
+    if (partial && !present) continue;
+
+    const result = validateField(field, body[field], current ? current[field] : undefined);
+    if (result.error) {
+      errors[field] = result.error;
+      continue;
+    }
+
+    if (partial && result.value === null) continue;
+
+    if (result.value === null && REQUIRED_FIELDS.includes(field)) {
+      errors[field] = "Required";
+      continue;
+    }
+
+    value[field] = result.value === null && field in PET_DEFAULTS ? PET_DEFAULTS[field] : result.value;
+  }
+
+  return { value, errors: Object.keys(errors).length ? errors : null };
+}
+
+/**
+ * Add the value_*_num column for every value field in a row about to be written
+ * Values that do not parse (rows from before validation) get null, which sorts last
+ * @param {Object} row - Columns to insert/update
+ * @returns {Object} Row with the numeric columns added
+ */
+function withValueNumbers(row) {
+  const result = { ...row };
+  for (const field of VALUE_FIELDS) {
+    if (field in row) result[VALUE_NUMBER_COLUMNS[field]] = parsePetValue(row[field]);
+  }
+  return result;
+}
+
+// Export functions
+export {
+  PET_RARITIES,
+  PET_STATS_TYPES,
+  PET_FIELDS,
+  VALUE_FIELDS,
+  VALUE_NUMBER_COLUMNS,
+  PET_DEFAULTS,
+  validatePetPayload,
+  withValueNumbers
+};
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/petSchema.js
@@ -0,0 +1,65 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/petValues.js
+
+// Debug warning: Pet values are typed as "1500000", "1,500,000", "1500k" or "1.5M"
+// parsePetValue turns any of them into a number, formatPetValue gives the one display form stored in value_* columns
+
+const SUFFIXES = [
+  ["T", 1e12],
+  ["B", 1e9],
+  ["M", 1e6],
+  ["K", 1e3]
+];
+
+// Whole part with or without thousands separators, optional decimals, optional K/M/B/T suffix
+const VALUE_PATTERN = /^(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?\s*([kmbt])?$/i;
+
+// 1000T; stays well inside Number.MAX_SAFE_INTEGER
+const MAX_PET_VALUE = 1e15;
+
+/**
+ * Parse a pet value
+ * @param {string|number} value - Display value ("1.5M", "1,500k", "1500000") or a number
+ * @returns {number|null} The value, or null when it is not a non-negative number up to 1000T
+ */
+function parsePetValue(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value >= 0 && value <= MAX_PET_VALUE ? value : null;
+  }
+  if (typeof value !== "string") return null;
+
+  const match = value.trim().match(VALUE_PATTERN);
+  if (!match) return null;
+
+  const [, whole, decimals, suffix] = match;
+  const base = Number(`${whole.replace(/,/g, "")}${decimals ? `.${decimals}` : ""}`);
+  const multiplier = suffix ? SUFFIXES.find(([letter]) => letter === suffix.toUpperCase())[1] : 1;
+
+  // Round away float noise (1.1 * 1e6 = 1100000.0000000002)
+  const number = Math.round(base * multiplier * 1e6) / 1e6;
+  return number <= MAX_PET_VALUE ? number : null;
+}
+
+/**
+ * Canonical display form: the largest suffix with up to 3 decimals when that is exact, else the full number with commas
+ * 1500000 -> "1.5M", 999999 -> "999.999K", 1234567 -> "1,234,567", 250 -> "250"
+ * @param {number} number - Parsed value
+ * @returns {string}
+ */
+function formatPetValue(number) {
+  for (const [suffix, size] of SUFFIXES) {
+    if (number < size) continue;
+
+    const candidate = `${Number((number / size).toFixed(3))}${suffix}`;
+    if (parsePetValue(candidate) === number) return candidate;
+    break;
+  }
+
+  return number.toLocaleString("en-US", { maximumFractionDigits: 6 });
+}
+
+// Export functions
+export { MAX_PET_VALUE, parsePetValue, formatPetValue };
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/petValues.js
@@ -0,0 +1,88 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/petVersion.js
+
+// Debug warning: Optimistic concurrency for pet writes
+// A pet's version is derived from updated_at; writers send it back via If-Match or a body "version" field
+// and get 409 with the current row when someone else saved in between
+
+/**
+ * Version token for a pet row (updated_at in ms, "0" for rows never updated)
+ * @param {Object} pet - Pet row with updated_at
+ * @returns {string}
+ */
+function getPetVersion(pet) {
+  const time = pet?.updated_at ? Date.parse(pet.updated_at) : 0;
+  return String(isNaN(time) ? 0 : time);
+}
+
+/**
+ * Strong ETag for a pet row
+ * @param {Object} pet - Pet row with updated_at
+ * @returns {string} e.g. "1718000000000"
+ */
+function getPetETag(pet) {
+  return `"${getPetVersion(pet)}"`;
+}
+
+/**
+ * Add the version token to a pet row for API responses
+ * @param {Object} pet - Pet row
+ * @returns {Object} Pet row plus { version }
+ */
+function withPetVersion(pet) {
+  return { ...pet, version: getPetVersion(pet) };
+}
+
+/**
+ * Read the version the client last saw, from If-Match (preferred) or the body's "version" field
+ * @param {Object} req - Vercel request object
+ * @returns {string|null} Version token, "*" for If-Match: *, or null when none was sent
+ */
+function readExpectedVersion(req) {
+  const ifMatch = req.headers["if-match"];
+  if (ifMatch && ifMatch.trim()) {
+    const tag = ifMatch.split(",")[0].trim();
+    if (tag === "*") return "*";
+    return tag.replace(/^W\//, "").replace(/^"|"$/g, "");
+  }
+
+  const version = req.body?.version;
+  if (typeof version === "string" || typeof version === "number") {
+    return String(version).trim() || null;
+  }
+
+  return null;
+}
+
+/**
+ * Check a client's expected version against the stored row
+ * @param {Object} pet - Current pet row
+ * @param {string} expected - Result of readExpectedVersion
+ * @returns {boolean}
+ */
+function versionMatches(pet, expected) {
+  return expected === "*" || expected === getPetVersion(pet);
+}
+
+/**
+ * Field diff between the stored row and what the client tried to write
+ * @param {Object} currentPet - Current pet row
+ * @param {Object} submitted - Validated payload the client sent
+ * @returns {Object} { field: { current, yours } } for fields that differ
+ */
+function diffConflict(currentPet, submitted) {
+  const diff = {};
+  for (const [field, yours] of Object.entries(submitted)) {
+    const current = currentPet[field] ?? null;
+    if (current !== (yours ?? null)) {
+      diff[field] = { current, yours: yours ?? null };
+    }
+  }
+  return diff;
+}
+
+// Export functions
+export { getPetVersion, getPetETag, withPetVersion, readExpectedVersion, versionMatches, diffConflict };
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/petVersion.js
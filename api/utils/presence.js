@@ -0,0 +1,128 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/presence.js
+
+// Debug warning: Visitor presence tracking for /api/online
+// Table presence (visitor_id text primary key, page text, last_seen timestamptz)
+// Per-page counts are grouped in SQL, a plain select would stop at PostgREST's max-rows (1000 by default):
+//   create function presence_by_page(since timestamptz) returns table (page text, visitors bigint)
+//     language sql stable as $$ select page, count(*) from presence where last_seen >= since group by page $$;
+
+import { createClient } from "@supabase/supabase-js";
+
+const PRESENCE_TABLE = "presence";
+const PRESENCE_BY_PAGE_FUNCTION = "presence_by_page";
+const DEFAULT_WINDOW_MINUTES = Number(process.env.PRESENCE_WINDOW_MINUTES) || 5;
+const MAX_WINDOW_MINUTES = 60;
+const STALE_ROW_MS = 24 * 60 * 60 * 1000; // rows older than a day are swept
+const MAX_PAGE_LENGTH = 200;
+const VISITOR_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+// Admin client with service role key (bypasses RLS), preferred for presence writes
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null;
+
+const db = supabaseAdmin || supabase;
+
+/**
+ * Validate an anonymous visitor id generated by the site
+ * @param {string} visitorId
+ * @returns {boolean}
+ */
+function isValidVisitorId(visitorId) {
+  return typeof visitorId === "string" && VISITOR_ID_PATTERN.test(visitorId);
+}
+
+/**
+ * Normalise a page path for grouping (no query string, bounded length)
+ * @param {string} page
+ * @returns {string}
+ */
+function normalizePage(page) {
+  if (typeof page !== "string" || !page.trim()) return "/";
+  return page.trim().split("?")[0].split("#")[0].slice(0, MAX_PAGE_LENGTH) || "/";
+}
+
+/**
+ * Clamp a requested window to the allowed range
+ * @param {*} minutes - Raw query value
+ * @returns {number} Window in minutes
+ */
+function resolveWindowMinutes(minutes) {
+  const parsed = parseInt(minutes, 10);
+  if (isNaN(parsed)) return DEFAULT_WINDOW_MINUTES;
+  return Math.min(Math.max(parsed, 1), MAX_WINDOW_MINUTES);
+}
+
+/**
+ * Record that a visitor is currently on a page
+ * @param {string} visitorId - Anonymous visitor id
+ * @param {string} page - Page path
+ * @returns {Promise<void>}
+ */
+async function recordHeartbeat(visitorId, page) {
+  const { error } = await db
+    .from(PRESENCE_TABLE)
+    .upsert({
+      visitor_id: visitorId,
+      page: normalizePage(page),
+      last_seen: new Date().toISOString()
+    });
+
+  if (error) throw error;
+
+  // Occasionally sweep rows that are far past any window we report on
+  if (Math.random() < 0.01) {
+    await db
+      .from(PRESENCE_TABLE)
+      .delete()
+      .lt("last_seen", new Date(Date.now() - STALE_ROW_MS).toISOString());
+  }
+}
+
+/**
+ * Count visitors seen within the window
+ * @param {number} windowMinutes - Lookback window
+ * @param {boolean} byPage - Also return a per-page breakdown
+ * @returns {Promise<Object>} { count: number, pages?: Object<string, number> }
+ */
+async function countOnline(windowMinutes, byPage = false) {
+  const since = new Date(Date.now() - windowMinutes * 60 * 1000).toISOString();
+
+  // The total always comes from the exact count, so it matches with and without the breakdown
+  const [total, breakdown] = await Promise.all([
+    db
+      .from(PRESENCE_TABLE)
+      .select("visitor_id", { count: "exact", head: true })
+      .gte("last_seen", since),
+    byPage ? db.rpc(PRESENCE_BY_PAGE_FUNCTION, { since }) : null
+  ]);
+
+  if (total.error) throw total.error;
+  if (!byPage) return { count: total.count || 0 };
+
+  if (breakdown.error) throw breakdown.error;
+
+  const pages = {};
+  for (const row of breakdown.data || []) {
+    pages[row.page] = Number(row.visitors);
+  }
+
+  return { count: total.count || 0, pages };
+}
+
+// Export functions
+export {
+  isValidVisitorId,
+  resolveWindowMinutes,
+  recordHeartbeat,
+  countOnline
+};
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/presence.js
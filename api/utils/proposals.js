@@ -0,0 +1,104 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/proposals.js
+
+// Debug warning: Pending pet change proposals for roles with requires_approval (see permissions.js)
+// Table pet_proposals: id, pet_id, pet_name, values jsonb (columns to write), changes jsonb ({ field: { from, to } }),
+// base_version, violations jsonb (guardrail flags), status ('pending' | 'approved' | 'rejected'), proposed_by, proposed_by_role,
+// reviewed_by, review_reason, reviewed_at, created_at
+
+import { logAudit } from "./audit.js";
+import { getPetVersion } from "./petVersion.js";
+import { emitWebhookEvent } from "./webhook.js";
+
+const PROPOSAL_STATUSES = ["pending", "approved", "rejected"];
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Store an edit as a pending proposal instead of applying it
+ * @param {Object} client - Service role Supabase client
+ * @param {Object} admin - Proposing admin { username, role }
+ * @param {Object} pet - Current pet row
+ * @param {Object} values - Columns the edit would write { field: value }
+ * @param {Object} changes - Audit diff { field: { from, to } }
+ * @param {Array<Object>} violations - Guardrail violations that routed the edit here (optional)
+ * @returns {Promise<Object>} { proposal: Object|null, error: Object|null }
+ */
+async function submitProposal(client, admin, pet, values, changes, violations = []) {
+  const { data: proposal, error } = await client
+    .from("pet_proposals")
+    .insert({
+      pet_id: pet.id,
+      pet_name: pet.name,
+      values,
+      changes,
+      base_version: getPetVersion(pet),
+      violations,
+      status: "pending",
+      proposed_by: admin.username,
+      proposed_by_role: admin.role || "admin"
+    })
+    .select()
+    .single();
+
+  if (error) return { proposal: null, error };
+
+  // Nested under proposed_changes so pet history does not show values that are not live yet
+  await logAudit(admin.username, "PROPOSE", pet.id, pet.name, {
+    proposal_id: proposal.id,
+    proposed_changes: changes,
+    ...(violations.length > 0 ? { violations } : {})
+  }, admin.role);
+
+  await emitWebhookEvent("proposal.created", { actor: { username: admin.username, role: admin.role || "admin" }, proposal });
+
+  return { proposal, error: null };
+}
+
+/**
+ * Move a pending proposal to approved/rejected; only one reviewer can win
+ * @param {Object} client - Service role Supabase client
+ * @param {number} proposalId - pet_proposals.id
+ * @param {string} status - 'approved' or 'rejected'
+ * @param {Object} reviewer - Reviewing admin { username }
+ * @param {string|null} reason - Rejection reason
+ * @returns {Promise<Object>} { proposal: Object|null, error: Object|null } proposal is null when not pending
+ */
+async function claimProposal(client, proposalId, status, reviewer, reason = null) {
+  const { data, error } = await client
+    .from("pet_proposals")
+    .update({
+      status,
+      reviewed_by: reviewer.username,
+      review_reason: reason,
+      reviewed_at: new Date().toISOString()
+    })
+    .eq("id", proposalId)
+    .eq("status", "pending")
+    .select();
+
+  if (error) return { proposal: null, error };
+  return { proposal: data && data.length > 0 ? data[0] : null, error: null };
+}
+
+/**
+ * Put a claimed proposal back to pending (when applying it failed)
+ * @param {Object} client - Service role Supabase client
+ * @param {number} proposalId - pet_proposals.id
+ * @returns {Promise<void>}
+ */
+async function releaseProposal(client, proposalId) {
+  const { error } = await client
+    .from("pet_proposals")
+    .update({ status: "pending", reviewed_by: null, review_reason: null, reviewed_at: null })
+    .eq("id", proposalId);
+
+  if (error) {
+    console.error("[Proposals] Failed to release proposal:", proposalId, error);
+  }
+}
+
+// Export functions
+export { PROPOSAL_STATUSES, MAX_REASON_LENGTH, submitProposal, claimProposal, releaseProposal };
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/proposals.js
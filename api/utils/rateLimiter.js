@@ -3,80 +3,208 @@
 
 // Debug warning: Rate limiting utility for protecting backend endpoints from abuse
 // Tracks IP addresses and enforces time-based cooldowns
+// Counters live in a pluggable store: in-memory Map (default, per instance) or a shared Supabase table
+// Select with RATE_LIMIT_STORE=memory|supabase and RATE_LIMIT_ALGORITHM=fixed|sliding|token_bucket
+// Debug warning: Unset RATE_LIMIT_ALGORITHM keeps the original fixed window, so existing limits behave as before
 
-// In-memory store for rate limiting (resets on cold start)
-const rateLimitStore = new Map();
+import { createClient } from "@supabase/supabase-js";
 
-// Cleanup old entries every 10 minutes
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, data] of rateLimitStore.entries()) {
-    if (data.resetTime < now) {
-      rateLimitStore.delete(key);
+const DEFAULT_ALGORITHM = process.env.RATE_LIMIT_ALGORITHM || "fixed";
+const SUPABASE_TABLE = "rate_limits"; // key text primary key, state jsonb, expires_at timestamptz
+
+/**
+ * In-memory store (resets on cold start, not shared between instances)
+ * @returns {Object} Store with async get(key), set(key, state, ttlMs), delete(key)
+ */
+function createMemoryStore() {
+  const entries = new Map();
+
+  // Cleanup old entries every 10 minutes
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries.entries()) {
+      if (entry.expiresAt < now) {
+        entries.delete(key);
+      }
+    }
+  }, 10 * 60 * 1000);
+  timer.unref?.();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt < Date.now()) return null;
+      return entry.state;
+    },
+    async set(key, state, ttlMs) {
+      entries.set(key, { state, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+/**
+ * Shared store backed by a Supabase table (survives cold starts, same for every instance)
+ * Debug warning: read-then-write is not atomic, so bursts across instances can slip one or two extra requests
+ * @param {Object} client - Supabase client with write access to the table
+ * @param {string} table - Table name
+ * @returns {Object} Store with async get(key), set(key, state, ttlMs), delete(key)
+ */
+function createSupabaseStore(client, table = SUPABASE_TABLE) {
+  return {
+    async get(key) {
+      const { data, error } = await client
+        .from(table)
+        .select("state, expires_at")
+        .eq("key", key)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data || new Date(data.expires_at).getTime() < Date.now()) return null;
+      return data.state;
+    },
+    async set(key, state, ttlMs) {
+      const { error } = await client
+        .from(table)
+        .upsert({ key, state, expires_at: new Date(Date.now() + ttlMs).toISOString() });
+
+      if (error) throw error;
+
+      // Occasionally sweep expired rows so the table does not grow forever
+      if (Math.random() < 0.01) {
+        await client.from(table).delete().lt("expires_at", new Date().toISOString());
+      }
+    },
+    async delete(key) {
+      const { error } = await client.from(table).delete().eq("key", key);
+      if (error) throw error;
+    }
+  };
+}
+
+const memoryStore = createMemoryStore();
+
+function createDefaultStore() {
+  if (process.env.RATE_LIMIT_STORE === "supabase") {
+    if (process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      return createSupabaseStore(createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY));
     }
+    console.warn("[Rate Limit] RATE_LIMIT_STORE=supabase but service role key missing, using memory store");
+  }
+  return memoryStore;
+}
+
+let activeStore = createDefaultStore();
+
+/**
+ * Swap the backing store (e.g. for a different shared backend)
+ * @param {Object} store - Object implementing get/set/delete
+ */
+function setRateLimitStore(store) {
+  activeStore = store || memoryStore;
+}
+
+// Fixed window: counter resets when the window that started with the first request ends
+function fixedWindow(state, now, windowMs, maxAttempts) {
+  const current = state && now < state.resetTime ? state : { attempts: 0, resetTime: now + windowMs };
+
+  if (current.attempts >= maxAttempts) {
+    return { allowed: false, resetTime: current.resetTime, attemptsLeft: 0, state: current };
+  }
+
+  const next = { attempts: current.attempts + 1, resetTime: current.resetTime };
+  return { allowed: true, resetTime: next.resetTime, attemptsLeft: maxAttempts - next.attempts, state: next };
+}
+
+// Sliding window log: keeps the timestamps of the last maxAttempts requests
+function slidingWindow(state, now, windowMs, maxAttempts) {
+  const hits = (state?.hits || []).filter((ts) => ts > now - windowMs);
+
+  if (hits.length >= maxAttempts) {
+    return { allowed: false, resetTime: hits[0] + windowMs, attemptsLeft: 0, state: { hits } };
+  }
+
+  hits.push(now);
+  return { allowed: true, resetTime: hits[0] + windowMs, attemptsLeft: maxAttempts - hits.length, state: { hits } };
+}
+
+// Token bucket: bucket of maxAttempts tokens refilled evenly over windowMs
+function tokenBucket(state, now, windowMs, maxAttempts) {
+  const refillPerMs = maxAttempts / windowMs;
+  const elapsed = state ? now - state.updatedAt : 0;
+  const tokens = Math.min(maxAttempts, (state ? state.tokens : maxAttempts) + elapsed * refillPerMs);
+
+  if (tokens < 1) {
+    const resetTime = now + Math.ceil((1 - tokens) / refillPerMs);
+    return { allowed: false, resetTime, attemptsLeft: 0, state: { tokens, updatedAt: now } };
   }
-}, 10 * 60 * 1000);
+
+  const remaining = tokens - 1;
+  const resetTime = now + Math.ceil((maxAttempts - remaining) / refillPerMs);
+  return { allowed: true, resetTime, attemptsLeft: Math.floor(remaining), state: { tokens: remaining, updatedAt: now } };
+}
+
+const ALGORITHMS = {
+  fixed: fixedWindow,
+  sliding: slidingWindow,
+  token_bucket: tokenBucket
+};
 
 /**
  * Rate limiter configuration
  * @param {string} identifier - Usually IP address or IP+endpoint combo
  * @param {number} windowMs - Time window in milliseconds
  * @param {number} maxAttempts - Max attempts allowed in window
- * @returns {Object} { allowed: boolean, resetTime: number, attemptsLeft: number }
+ * @param {Object} options - { algorithm: 'fixed'|'sliding'|'token_bucket', store }
+ * @returns {Promise<Object>} { allowed: boolean, resetTime: number, attemptsLeft: number, limit: number }
  */
-function checkRateLimit(identifier, windowMs, maxAttempts = 1) {
+async function checkRateLimit(identifier, windowMs, maxAttempts = 1, options = {}) {
+  const algorithm = ALGORITHMS[options.algorithm || DEFAULT_ALGORITHM] || fixedWindow;
+  const store = options.store || activeStore;
   const now = Date.now();
-  
-  if (!rateLimitStore.has(identifier)) {
-    // First request - allow and initialize
-    rateLimitStore.set(identifier, {
-      attempts: 1,
-      resetTime: now + windowMs,
-      firstAttempt: now
-    });
-    
-    return {
-      allowed: true,
-      resetTime: now + windowMs,
-      attemptsLeft: maxAttempts - 1
-    };
-  }
-  
-  const record = rateLimitStore.get(identifier);
-  
-  // Check if window expired - reset counter
-  if (now >= record.resetTime) {
-    rateLimitStore.set(identifier, {
-      attempts: 1,
-      resetTime: now + windowMs,
-      firstAttempt: now
-    });
-    
-    return {
-      allowed: true,
-      resetTime: now + windowMs,
-      attemptsLeft: maxAttempts - 1
-    };
+
+  let state = null;
+  try {
+    state = await store.get(identifier);
+  } catch (err) {
+    // Debug warning: Shared store unavailable - fall back to this instance's memory
+    console.error("[Rate Limit] Store read failed, using memory store:", err);
+    return checkRateLimit(identifier, windowMs, maxAttempts, { ...options, store: memoryStore });
   }
-  
-  // Within window - check if under limit
-  if (record.attempts < maxAttempts) {
-    record.attempts++;
-    return {
-      allowed: true,
-      resetTime: record.resetTime,
-      attemptsLeft: maxAttempts - record.attempts
-    };
+
+  const result = algorithm(state, now, windowMs, maxAttempts);
+
+  try {
+    await store.set(identifier, result.state, Math.max(result.resetTime - now, windowMs));
+  } catch (err) {
+    console.error("[Rate Limit] Store write failed:", err);
   }
-  
-  // Rate limit exceeded
+
   return {
-    allowed: false,
-    resetTime: record.resetTime,
-    attemptsLeft: 0
+    allowed: result.allowed,
+    resetTime: result.resetTime,
+    attemptsLeft: result.attemptsLeft,
+    limit: maxAttempts
   };
 }
 
+/**
+ * Set X-RateLimit-* headers (and Retry-After when blocked) from a checkRateLimit result
+ * @param {Object} res - Vercel response object
+ * @param {Object} rateCheck - Result of checkRateLimit
+ */
+function setRateLimitHeaders(res, rateCheck) {
+  res.setHeader("X-RateLimit-Limit", String(rateCheck.limit));
+  res.setHeader("X-RateLimit-Remaining", String(Math.max(0, rateCheck.attemptsLeft)));
+  res.setHeader("X-RateLimit-Reset", String(Math.ceil(rateCheck.resetTime / 1000)));
+
+  if (!rateCheck.allowed) {
+    res.setHeader("Retry-After", String(Math.max(1, Math.ceil((rateCheck.resetTime - Date.now()) / 1000))));
+  }
+}
+
 /**
  * Get client IP from request
  * @param {Object} req - Vercel request object
@@ -84,9 +212,9 @@ function checkRateLimit(identifier, windowMs, maxAttempts = 1) {
  */
 function getClientIP(req) {
   // Vercel provides IP in headers
-  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() 
-    || req.headers['x-real-ip'] 
-    || req.connection?.remoteAddress 
+  return req.headers['x-forwarded-for']?.split(',')[0]?.trim()
+    || req.headers['x-real-ip']
+    || req.connection?.remoteAddress
     || 'unknown';
 }
 
@@ -103,7 +231,15 @@ function formatWaitTime(resetTime) {
 }
 
 // Export functions
-export { checkRateLimit, getClientIP, formatWaitTime };
+export {
+  checkRateLimit,
+  setRateLimitHeaders,
+  setRateLimitStore,
+  createMemoryStore,
+  createSupabaseStore,
+  getClientIP,
+  formatWaitTime
+};
 
 // File type: Node.js Module (Utility)
 // Path: /api/utils/rateLimiter.js
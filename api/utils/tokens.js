@@ -0,0 +1,110 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/tokens.js
+
+// Debug warning: HMAC-SHA256 signed session tokens (<payload base64url>.<signature base64url>)
+// Secret comes from ADMIN_TOKEN_SECRET; without it no tokens are issued or accepted
+
+import { createHmac, timingSafeEqual, randomUUID } from "crypto";
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+
+function getSecret() {
+  return process.env.ADMIN_TOKEN_SECRET || null;
+}
+
+function sign(data, secret) {
+  return createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+/**
+ * Check whether token signing is configured
+ * @returns {boolean}
+ */
+function tokensEnabled() {
+  return Boolean(getSecret());
+}
+
+/**
+ * Create a signed token
+ * @param {Object} claims - Claims to embed (sub, usr, role, sid, typ)
+ * @param {number} ttlSeconds - Lifetime in seconds
+ * @returns {Object} { token: string, expiresAt: number } expiresAt in ms
+ */
+function signToken(claims, ttlSeconds) {
+  const secret = getSecret();
+  if (!secret) {
+    throw new Error("ADMIN_TOKEN_SECRET is not configured");
+  }
+
+  const iat = Math.floor(Date.now() / 1000);
+  const payload = { ...claims, iat, exp: iat + ttlSeconds, jti: randomUUID() };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+  return {
+    token: `${encoded}.${sign(encoded, secret)}`,
+    expiresAt: payload.exp * 1000
+  };
+}
+
+/**
+ * Verify a token's signature, expiry and type
+ * @param {string} token - Token string
+ * @param {string} expectedType - 'access' or 'refresh'
+ * @returns {Object|null} Decoded claims or null when invalid
+ */
+function verifyToken(token, expectedType) {
+  const secret = getSecret();
+  if (!secret || typeof token !== "string") return null;
+
+  const parts = token.split(".");
+  if (parts.length !== 2) return null;
+
+  const [encoded, signature] = parts;
+  const expected = Buffer.from(sign(encoded, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(encoded, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+
+  if (!claims || typeof claims.exp !== "number" || claims.exp * 1000 <= Date.now()) {
+    return null;
+  }
+
+  if (expectedType && claims.typ !== expectedType) {
+    return null;
+  }
+
+  return claims;
+}
+
+/**
+ * Read a bearer token from the Authorization header
+ * @param {Object} req - Vercel request object
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+  const header = req.headers["authorization"] || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// Export functions
+export {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS,
+  tokensEnabled,
+  signToken,
+  verifyToken,
+  getBearerToken
+};
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/tokens.js
@@ -0,0 +1,220 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/totp.js
+
+// Debug warning: RFC 6238 TOTP (SHA-1, 6 digits, 30 second steps) second factor for admin_users
+// admin_users columns: totp_enabled, totp_secret (base32), totp_pending_secret (enrollment not yet confirmed),
+//   totp_last_counter (last accepted time step, so a code works only once), totp_recovery_codes (sha256 hashes)
+// Recovery codes are single use and stand in for a code when the authenticator is lost
+
+import { createHmac, createHash, randomBytes, timingSafeEqual } from "crypto";
+import { createClient } from "@supabase/supabase-js";
+
+// Admin client with service role key (bypasses RLS)
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null;
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept the previous and next step too, for clock drift
+const TOTP_WINDOW = 1;
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+function currentCounter(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * New random base32 secret (160 bits, as RFC 4226 recommends)
+ * @returns {string}
+ */
+function generateTotpSecret() {
+  return base32Encode(randomBytes(SECRET_BYTES));
+}
+
+/**
+ * The code for one time step (HOTP with the step as counter)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Time step
+ * @returns {string} Zero-padded code
+ */
+function totpCode(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = createHmac("sha1", base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+/**
+ * Check a code against the current time window
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the admin
+ * @param {number|null} lastCounter - Last accepted step; that step and older ones are refused (replay)
+ * @returns {number|null} The matching time step, or null
+ */
+function verifyTotp(secret, code, lastCounter = null) {
+  const clean = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(clean)) return null;
+
+  const now = currentCounter();
+  for (let counter = now - TOTP_WINDOW; counter <= now + TOTP_WINDOW; counter++) {
+    if (lastCounter !== null && lastCounter !== undefined && counter <= lastCounter) continue;
+    if (timingSafeEqual(Buffer.from(totpCode(secret, counter)), Buffer.from(clean))) return counter;
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {string} username - Account label
+ * @param {string} secret - Base32 secret
+ * @returns {string}
+ */
+function buildOtpauthUri(username, secret) {
+  const issuer = process.env.TOTP_ISSUER || "Pet Admin";
+  const label = encodeURIComponent(`${issuer}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").toLowerCase().replace(/[\s-]/g, "");
+}
+
+/**
+ * Hash of a recovery code as stored in totp_recovery_codes
+ * Codes are 80 random bits, so a fast hash is enough (unlike passwords)
+ * @param {string} code - Recovery code as typed
+ * @returns {string} sha256 hex
+ */
+function hashRecoveryCode(code) {
+  return createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+}
+
+/**
+ * Fresh set of recovery codes
+ * @returns {Object} { codes: Array<string> (show once), hashes: Array<string> (store) }
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = randomBytes(10).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5, 10)}-${hex.slice(10, 15)}-${hex.slice(15)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Check a TOTP or recovery code for an enrolled admin and burn it (step or recovery code) so it cannot be replayed
+ * @param {Object} admin - admin_users row with the totp_* columns
+ * @param {string} code - 6-digit code or recovery code
+ * @returns {Promise<Object>} { valid: boolean, method: 'totp'|'recovery'|null }
+ */
+async function verifySecondFactor(admin, code) {
+  if (!supabaseAdmin || !admin.totp_secret || !code) return { valid: false, method: null };
+
+  const lastCounter = admin.totp_last_counter ?? null;
+  const counter = verifyTotp(admin.totp_secret, code, lastCounter);
+
+  if (counter !== null) {
+    // Only move forward from the step we read, so two requests racing with one code cannot both win
+    let query = supabaseAdmin
+      .from("admin_users")
+      .update({ totp_last_counter: counter })
+      .eq("id", admin.id);
+    query = lastCounter === null ? query.is("totp_last_counter", null) : query.eq("totp_last_counter", lastCounter);
+
+    const { data, error } = await query.select("id");
+    if (error) {
+      console.error("[TOTP Error] Failed to record used step:", error);
+      return { valid: false, method: null };
+    }
+    return { valid: (data || []).length > 0, method: "totp" };
+  }
+
+  const hash = hashRecoveryCode(code);
+  const stored = admin.totp_recovery_codes || [];
+  if (!stored.includes(hash)) return { valid: false, method: null };
+
+  // Same compare-and-set idea: the update only lands if the code list is still the one we read
+  const { data, error } = await supabaseAdmin
+    .from("admin_users")
+    .update({ totp_recovery_codes: stored.filter((entry) => entry !== hash) })
+    .eq("id", admin.id)
+    .contains("totp_recovery_codes", [hash])
+    .select("id");
+
+  if (error) {
+    console.error("[TOTP Error] Failed to consume recovery code:", error);
+    return { valid: false, method: null };
+  }
+
+  if ((data || []).length > 0) {
+    console.warn("[TOTP] Recovery code used by:", admin.username, "-", stored.length - 1, "left");
+  }
+  return { valid: (data || []).length > 0, method: "recovery" };
+}
+
+// Export functions
+export {
+  RECOVERY_CODE_COUNT,
+  generateTotpSecret,
+  totpCode,
+  verifyTotp,
+  buildOtpauthUri,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  verifySecondFactor
+};
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/totp.js
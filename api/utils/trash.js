@@ -0,0 +1,131 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/trash.js
+
+// Debug warning: Soft delete helpers - pets.deleted_at / pets.deleted_by mark a pet as in the trash
+// Trashed pets are purged for good after TRASH_RETENTION_DAYS (default 30)
+
+import { logAudit, buildPetSnapshot } from "./audit.js";
+import { emitWebhookEvent } from "./webhook.js";
+
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When a pet deleted at the given time becomes eligible for purge
+ * @param {string} deletedAt - ISO timestamp
+ * @returns {string} ISO timestamp
+ */
+function getPurgeAfter(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+}
+
+/**
+ * Move a live pet to the trash
+ * @param {Object} client - Service role Supabase client
+ * @param {number} petId - Pet id
+ * @param {Object} admin - Acting admin { username, role }
+ * @returns {Promise<Object>} { pet: Object|null, error: Object|null } pet is null when not found
+ */
+async function trashPet(client, petId, admin) {
+  const now = new Date().toISOString();
+  const { data, error } = await client
+    .from("pets")
+    .update({ deleted_at: now, deleted_by: admin.username, updated_at: now })
+    .eq("id", petId)
+    .is("deleted_at", null)
+    .select();
+
+  if (error) return { pet: null, error };
+
+  const pet = data && data.length > 0 ? data[0] : null;
+  if (pet) {
+    // Snapshot is kept so the pet can still be restored after it is purged
+    await logAudit(admin.username, "DELETE", pet.id, pet.name, {
+      deleted_pet: buildPetSnapshot(pet),
+      purge_after: getPurgeAfter(now)
+    }, admin.role);
+
+    await emitWebhookEvent("pet.deleted", {
+      actor: { username: admin.username, role: admin.role || "admin" },
+      pet: { id: pet.id, name: pet.name },
+      purge_after: getPurgeAfter(now)
+    });
+  }
+
+  return { pet, error: null };
+}
+
+/**
+ * Take a pet back out of the trash
+ * @param {Object} client - Service role Supabase client
+ * @param {number} petId - Pet id
+ * @param {Object} admin - Acting admin { username, role }
+ * @returns {Promise<Object>} { pet: Object|null, error: Object|null }
+ */
+async function untrashPet(client, petId, admin) {
+  const { data, error } = await client
+    .from("pets")
+    .update({ deleted_at: null, deleted_by: null, updated_at: new Date().toISOString() })
+    .eq("id", petId)
+    .not("deleted_at", "is", null)
+    .select();
+
+  if (error) return { pet: null, error };
+
+  const pet = data && data.length > 0 ? data[0] : null;
+  if (pet) {
+    await logAudit(admin.username, "UNDELETE", pet.id, pet.name, {}, admin.role);
+    await emitWebhookEvent("pet.restored", {
+      actor: { username: admin.username, role: admin.role || "admin" },
+      pet: { id: pet.id, name: pet.name },
+      source: "trash"
+    });
+  }
+
+  return { pet, error: null };
+}
+
+/**
+ * Permanently delete trashed pets
+ * @param {Object} client - Service role Supabase client
+ * @param {Object} admin - Acting admin { username, role } ('system' for the scheduled purge)
+ * @param {Object} filter - { petId } for one pet, or { expiredOnly: true } for everything past retention
+ * @returns {Promise<Object>} { purged: Array<{ id, name }>, error: Object|null }
+ */
+async function purgeTrashedPets(client, admin, { petId = null, expiredOnly = false } = {}) {
+  let query = client
+    .from("pets")
+    .delete()
+    .not("deleted_at", "is", null);
+
+  if (petId !== null) query = query.eq("id", petId);
+  if (expiredOnly) query = query.lt("deleted_at", new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS).toISOString());
+
+  const { data, error } = await query.select("id, name, deleted_at, deleted_by");
+  if (error) return { purged: [], error };
+
+  for (const pet of data || []) {
+    await logAudit(admin.username, "PURGE", pet.id, pet.name, {
+      deleted_at: pet.deleted_at,
+      deleted_by: pet.deleted_by,
+      reason: expiredOnly ? "retention_expired" : "manual"
+    }, admin.role);
+  }
+
+  const purged = (data || []).map(({ id, name }) => ({ id, name }));
+  if (purged.length > 0) {
+    await emitWebhookEvent("pet.purged", {
+      actor: { username: admin.username, role: admin.role || "admin" },
+      pets: purged,
+      reason: expiredOnly ? "retention_expired" : "manual"
+    });
+  }
+
+  return { purged, error: null };
+}
+
+// Export functions
+export { TRASH_RETENTION_DAYS, getPurgeAfter, trashPet, untrashPet, purgeTrashedPets };
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/trash.js
@@ -0,0 +1,261 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/webhook.js
+
+// Debug warning: Webhook subsystem - every admin event fans out to all matching webhook_config subscribers
+// webhook_config: id, webhook_url, webhook_type, is_active, events text[] (null = legacy, '*' = all), secret,
+//   format ('discord' | 'slack' | 'json', see webhookFormats.js)
+// webhook_deliveries: id, webhook_id, event, payload jsonb, status ('pending' | 'delivered' | 'retrying' | 'failed'),
+//   attempts, last_status_code, last_error, last_attempt_at, next_attempt_at, delivered_at, created_at
+// Each delivery is tried once inline; failures are retried with backoff by /api/cron/retry-webhooks
+
+import { createHmac, randomUUID } from "crypto";
+import { createClient } from "@supabase/supabase-js";
+import { formatPayload } from "./webhookFormats.js";
+
+// Admin client with service role key (bypasses RLS)
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null;
+
+const WEBHOOK_EVENTS = [
+  "pet.added",
+  "pet.edited",
+  "pet.deleted",
+  "pet.restored",
+  "pet.purged",
+  "pet.imported",
+  "proposal.created",
+  "proposal.approved",
+  "proposal.rejected",
+  "guardrail.blocked",
+  "auth.login_failed"
+];
+
+// Rows from before event subscriptions (webhook_type 'miniadmin_edits', events null) keep what they used to get:
+// edits by roles with notify_edits, plus proposal and guardrail notices
+const LEGACY_EVENTS = ["pet.edited", "proposal.created", "proposal.approved", "proposal.rejected", "guardrail.blocked"];
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+// The retry cron runs every 10 minutes (vercel.json), so no delay is shorter than that
+const RETRY_DELAYS_MS = [10 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 6 * 60 * 60 * 1000, 12 * 60 * 60 * 1000];
+const DELIVERY_TIMEOUT_MS = 5000;
+
+function matchesSubscription(subscriber, event, data) {
+  if (Array.isArray(subscriber.events)) {
+    return subscriber.events.includes("*") || subscriber.events.includes(event);
+  }
+
+  if (!LEGACY_EVENTS.includes(event)) return false;
+  return event !== "pet.edited" || Boolean(data.announce);
+}
+
+// Debug warning: Subscribers (and their secrets) are only readable via service role
+async function getSubscribers(event, data) {
+  const { data: rows, error } = await supabaseAdmin
+    .from("webhook_config")
+    .select("id, webhook_url, webhook_type, events, secret, format")
+    .eq("is_active", true);
+
+  if (error) {
+    console.error("[Webhook Error]:", error);
+    return [];
+  }
+
+  return (rows || []).filter((row) => matchesSubscription(row, event, data));
+}
+
+/**
+ * Signature headers for a payload: HMAC-SHA256 over "<timestamp>.<body>" with the subscriber's secret
+ * Receivers recompute it and compare X-Webhook-Signature (and reject old timestamps)
+ * @param {string} secret - webhook_config.secret (or WEBHOOK_SIGNING_SECRET)
+ * @param {string} body - Exact request body
+ * @returns {Object} Headers to add
+ */
+function signPayload(secret, body) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return { "X-Webhook-Timestamp": timestamp, "X-Webhook-Signature": `sha256=${signature}` };
+}
+
+// One HTTP attempt, then record the outcome (and when to retry) on the delivery row
+async function attemptDelivery(delivery, subscriber) {
+  const body = JSON.stringify(delivery.payload);
+  const secret = subscriber.secret || process.env.WEBHOOK_SIGNING_SECRET;
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Webhook-Event": delivery.event,
+    "X-Webhook-Delivery": delivery.id,
+    ...(secret ? signPayload(secret, body) : {})
+  };
+
+  let statusCode = null;
+  let errorMessage = null;
+  try {
+    const response = await fetch(subscriber.webhook_url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+    statusCode = response.status;
+    if (!response.ok) errorMessage = `HTTP ${response.status}`;
+  } catch (err) {
+    errorMessage = err.message;
+  }
+
+  const attempts = (delivery.attempts || 0) + 1;
+  const now = Date.now();
+  const delivered = errorMessage === null;
+  // Client errors other than timeouts / rate limits will not fix themselves
+  const retryable = !delivered && (statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500);
+  const retrying = retryable && attempts < MAX_ATTEMPTS;
+
+  const update = {
+    status: delivered ? "delivered" : retrying ? "retrying" : "failed",
+    attempts,
+    last_status_code: statusCode,
+    last_error: errorMessage,
+    last_attempt_at: new Date(now).toISOString(),
+    next_attempt_at: retrying
+      ? new Date(now + RETRY_DELAYS_MS[Math.min(attempts - 1, RETRY_DELAYS_MS.length - 1)]).toISOString()
+      : null,
+    delivered_at: delivered ? new Date(now).toISOString() : null
+  };
+
+  const { error } = await supabaseAdmin.from("webhook_deliveries").update(update).eq("id", delivery.id);
+  if (error) {
+    console.error("[Webhook Error] Failed to update delivery log:", error);
+  }
+
+  if (delivered) {
+    console.log("[Webhook] Delivered", delivery.event, "to webhook", subscriber.id);
+  } else {
+    console.warn("[Webhook] Delivery failed", delivery.event, "to webhook", subscriber.id, errorMessage, retrying ? "(will retry)" : "(giving up)");
+  }
+
+  return { ...delivery, ...update };
+}
+
+/**
+ * Send an event to every active subscriber (errors are logged, never thrown)
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data ({ actor: { username, role }, pet, changes, ... })
+ * @returns {Promise<void>}
+ */
+async function emitWebhookEvent(event, data) {
+  if (!supabaseAdmin) return;
+
+  try {
+    const subscribers = await getSubscribers(event, data);
+    const occurredAt = new Date().toISOString();
+
+    await Promise.all(subscribers.map(async (subscriber) => {
+      const id = randomUUID();
+      const delivery = {
+        id,
+        webhook_id: subscriber.id,
+        event,
+        payload: formatPayload(subscriber, event, data, id, occurredAt),
+        status: "pending",
+        attempts: 0
+      };
+
+      const { error } = await supabaseAdmin.from("webhook_deliveries").insert(delivery);
+      if (error) {
+        console.error("[Webhook Error] Failed to log delivery:", error);
+        return;
+      }
+
+      await attemptDelivery(delivery, subscriber);
+    }));
+  } catch (err) {
+    console.error("[Webhook Send Error]:", err);
+  }
+}
+
+// Subscriber rows (with secrets) for a set of deliveries, keyed by id
+async function loadSubscribers(deliveries) {
+  const ids = [...new Set(deliveries.map((delivery) => delivery.webhook_id))];
+  if (ids.length === 0) return new Map();
+
+  const { data, error } = await supabaseAdmin
+    .from("webhook_config")
+    .select("id, webhook_url, is_active, secret")
+    .in("id", ids);
+
+  if (error) throw error;
+  return new Map((data || []).map((row) => [row.id, row]));
+}
+
+async function retryDeliveries(deliveries) {
+  const subscribers = await loadSubscribers(deliveries);
+  const results = [];
+
+  for (const delivery of deliveries) {
+    const subscriber = subscribers.get(delivery.webhook_id);
+    if (!subscriber || !subscriber.is_active) {
+      const update = { status: "failed", last_error: "Webhook removed or inactive", next_attempt_at: null };
+      await supabaseAdmin.from("webhook_deliveries").update(update).eq("id", delivery.id);
+      results.push({ ...delivery, ...update });
+      continue;
+    }
+
+    results.push(await attemptDelivery(delivery, subscriber));
+  }
+
+  return results;
+}
+
+/**
+ * Retry deliveries whose backoff has elapsed (called by the cron route)
+ * @param {number} limit - Max deliveries per run
+ * @returns {Promise<Object>} { results: Array<Object>, error: Object|null }
+ */
+async function retryDueDeliveries(limit = 50) {
+  if (!supabaseAdmin) return { results: [], error: new Error("Service role key not configured") };
+
+  try {
+    const { data: due, error } = await supabaseAdmin
+      .from("webhook_deliveries")
+      .select("id, webhook_id, event, payload, attempts")
+      .eq("status", "retrying")
+      .lte("next_attempt_at", new Date().toISOString())
+      .order("next_attempt_at", { ascending: true })
+      .limit(limit);
+
+    if (error) return { results: [], error };
+    return { results: await retryDeliveries(due || []), error: null };
+  } catch (err) {
+    return { results: [], error: err };
+  }
+}
+
+/**
+ * Send one logged delivery again right now (admin "redeliver" button)
+ * @param {string} deliveryId - webhook_deliveries.id
+ * @returns {Promise<Object>} { delivery: Object|null, error: Object|null } delivery is null when not found
+ */
+async function redeliver(deliveryId) {
+  if (!supabaseAdmin) return { delivery: null, error: new Error("Service role key not configured") };
+
+  try {
+    const { data: delivery, error } = await supabaseAdmin
+      .from("webhook_deliveries")
+      .select("id, webhook_id, event, payload, attempts")
+      .eq("id", deliveryId)
+      .maybeSingle();
+
+    if (error || !delivery) return { delivery: null, error };
+
+    const [result] = await retryDeliveries([delivery]);
+    return { delivery: result, error: null };
+  } catch (err) {
+    return { delivery: null, error: err };
+  }
+}
+
+// Export functions
+export { WEBHOOK_EVENTS, emitWebhookEvent, signPayload, retryDueDeliveries, redeliver };
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/webhook.js
@@ -0,0 +1,246 @@
+// File type: Node.js Module (Utility)
+// Path: /api/utils/webhookFormats.js
+
+// Debug warning: Payload formatters for webhook subscribers, picked by webhook_config.format
+//   discord  embed (default for discord.com webhook URLs)
+//   slack    Block Kit message (default for hooks.slack.com URLs)
+//   json     { id, event, occurred_at, data } with the full changes object (default for everything else)
+
+const WEBHOOK_FORMATS = ["discord", "slack", "json"];
+
+const FIELD_LABELS = {
+  name: "Name",
+  rarity: "Rarity",
+  stats: "Stats",
+  stats_type: "Stats Type",
+  value_normal: "Normal Value",
+  value_golden: "Golden Value",
+  value_rainbow: "Rainbow Value",
+  value_void: "Void Value",
+  image_url: "Image URL",
+  how_to_get: "How To Get"
+};
+
+// Discord caps field values at 1024 characters, Slack section text at 3000
+const MAX_FIELD_LENGTH = 1000;
+
+function truncate(text) {
+  const value = text === null || text === undefined || text === "" ? "(none)" : String(text);
+  return value.length > MAX_FIELD_LENGTH ? `${value.slice(0, MAX_FIELD_LENGTH - 1)}…` : value;
+}
+
+function isChange(value) {
+  return value !== null && typeof value === "object" && "from" in value && "to" in value;
+}
+
+/**
+ * One display field per changed column ({ field: { from, to } } entries only, labels for known columns)
+ * @param {Object} changes - Change diff
+ * @returns {Array<Object>} [{ name, value, inline }]
+ */
+function renderChanges(changes) {
+  return Object.entries(changes || {})
+    .filter(([, change]) => isChange(change))
+    .map(([field, change]) => ({
+      name: FIELD_LABELS[field] || field,
+      value: truncate(`${truncate(change.from)} → ${truncate(change.to)}`),
+      inline: field.startsWith("value_")
+    }));
+}
+
+// One display field per column of a new pet
+function renderValues(values) {
+  return Object.entries(values || {}).map(([field, value]) => ({
+    name: FIELD_LABELS[field] || field,
+    value: truncate(value),
+    inline: field.startsWith("value_")
+  }));
+}
+
+function actorName(actor) {
+  return actor ? actor.username : "system";
+}
+
+function violationLines(violations) {
+  return (violations || []).map((v) => v.message || v.rule).join("\n");
+}
+
+// Format-neutral message: { title, text (with **bold**), color, fields }
+function buildMessage(event, data) {
+  const actor = `**${actorName(data.actor)}**`;
+  const pet = data.pet ? `**${data.pet.name}**` : "";
+  const proposal = data.proposal || {};
+
+  switch (event) {
+    case "pet.added":
+      return { title: "➕ Pet Added", text: `${actor} added ${pet}`, color: 0x22c55e, fields: renderValues(data.values) };
+    case "pet.edited":
+      return {
+        title: "🔧 Pet Updated",
+        text: `${actor} edited ${pet}${data.approved_by ? ` (approved by **${data.approved_by}**)` : ""}`,
+        color: 0x3b82f6,
+        fields: renderChanges(data.changes)
+      };
+    case "pet.deleted":
+      return { title: "🗑️ Pet Moved To Trash", text: `${actor} deleted ${pet}\nPurged after ${data.purge_after}`, color: 0xef4444, fields: [] };
+    case "pet.restored":
+      return { title: "♻️ Pet Restored", text: `${actor} restored ${pet} from the ${data.source === "audit" ? "audit log" : "trash"}`, color: 0x22c55e, fields: [] };
+    case "pet.purged":
+      return { title: "🔥 Pets Purged", text: `${actor} permanently deleted ${data.pets.map((p) => `**${p.name}**`).join(", ")}`, color: 0x7f1d1d, fields: [] };
+    case "pet.imported":
+      return {
+        title: "📦 Pets Imported",
+        text: `${actor} imported ${data.created.length} new and ${data.updated.length} updated pets`,
+        color: 0x3b82f6,
+        fields: data.updated.slice(0, 10).map((pet) => ({
+          name: pet.name,
+          value: truncate(renderChanges(pet.changes).map((field) => `${field.name}: ${field.value}`).join("\n")),
+          inline: false
+        }))
+      };
+    case "proposal.created":
+      return {
+        title: "📝 Pet Change Proposed",
+        text: `${actor} proposed changes to **${proposal.pet_name}** (proposal #${proposal.id})`,
+        color: 0xf59e0b,
+        fields: [
+          ...renderChanges(proposal.changes),
+          ...(proposal.violations && proposal.violations.length > 0
+            ? [{ name: "⚠️ Flagged by guardrails", value: truncate(violationLines(proposal.violations)), inline: false }]
+            : [])
+        ]
+      };
+    case "proposal.approved":
+      return {
+        title: "✅ Pet Change Approved",
+        text: `${actor} approved **${proposal.proposed_by}**'s changes to **${proposal.pet_name}** (proposal #${proposal.id})`,
+        color: 0x22c55e,
+        fields: renderChanges(proposal.changes)
+      };
+    case "proposal.rejected":
+      return {
+        title: "❌ Pet Change Rejected",
+        text: `${actor} rejected **${proposal.proposed_by}**'s changes to **${proposal.pet_name}** (proposal #${proposal.id})\nReason: ${proposal.review_reason}`,
+        color: 0xef4444,
+        fields: renderChanges(proposal.changes)
+      };
+    case "guardrail.blocked":
+      return {
+        title: "🛑 Suspicious Edit Blocked",
+        text: `${actor} tried to edit ${pet}`,
+        color: 0xef4444,
+        fields: [
+          { name: "Guardrails", value: truncate(violationLines(data.violations)), inline: false },
+          ...renderChanges(data.attempted_changes)
+        ]
+      };
+    case "auth.login_failed":
+      return {
+        title: data.locked_until ? "🔒 Admin Account Locked" : "🔐 Admin Login Failed",
+        text: `Failed login for **${data.username || "(none)"}** from ${data.ip} via ${data.path}`
+          + (data.failed_count ? ` (${data.failed_count} in a row)` : "")
+          + (data.locked_until ? `\nLocked until ${data.locked_until}` : ""),
+        color: data.locked_until ? 0xef4444 : 0xf97316,
+        fields: []
+      };
+    default:
+      return { title: event, text: "", color: 0x6b7280, fields: [] };
+  }
+}
+
+/**
+ * Discord webhook body (one embed)
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @param {string} occurredAt - ISO timestamp
+ * @returns {Object}
+ */
+function formatDiscord(event, data, occurredAt) {
+  const message = buildMessage(event, data);
+  return {
+    embeds: [{
+      title: message.title,
+      description: message.text,
+      color: message.color,
+      // Discord allows at most 25 fields per embed
+      fields: message.fields.slice(0, 25),
+      timestamp: occurredAt,
+      footer: { text: `Pet Admin · ${event}` }
+    }]
+  };
+}
+
+/**
+ * Slack incoming-webhook body (Block Kit, with plain text fallback)
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @param {string} occurredAt - ISO timestamp
+ * @returns {Object}
+ */
+function formatSlack(event, data, occurredAt) {
+  const message = buildMessage(event, data);
+  // Slack mrkdwn bolds with single asterisks
+  const text = message.text.replace(/\*\*(.+?)\*\*/g, "*$1*");
+
+  const blocks = [
+    { type: "header", text: { type: "plain_text", text: message.title, emoji: true } },
+    ...(text ? [{ type: "section", text: { type: "mrkdwn", text } }] : [])
+  ];
+
+  // Slack allows at most 10 fields per section block
+  for (let i = 0; i < message.fields.length; i += 10) {
+    blocks.push({
+      type: "section",
+      fields: message.fields.slice(i, i + 10).map((field) => ({ type: "mrkdwn", text: `*${field.name}*\n${field.value}` }))
+    });
+  }
+
+  blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: `${event} · ${occurredAt}` }] });
+
+  return { text: `${message.title}: ${text}`, blocks };
+}
+
+/**
+ * Generic JSON event with the untouched event data (full changes object)
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @param {string} occurredAt - ISO timestamp
+ * @param {string} deliveryId - webhook_deliveries.id
+ * @returns {Object}
+ */
+function formatJson(event, data, occurredAt, deliveryId) {
+  return { id: deliveryId, event, occurred_at: occurredAt, data };
+}
+
+const FORMATTERS = { discord: formatDiscord, slack: formatSlack, json: formatJson };
+
+/**
+ * Formatter name for a subscriber: webhook_config.format, else guessed from the URL
+ * @param {Object} subscriber - webhook_config row
+ * @returns {string} One of WEBHOOK_FORMATS
+ */
+function resolveFormat(subscriber) {
+  if (WEBHOOK_FORMATS.includes(subscriber.format)) return subscriber.format;
+  if (/discord(app)?\.com\/api\/webhooks/.test(subscriber.webhook_url)) return "discord";
+  if (/hooks\.slack\.com\//.test(subscriber.webhook_url)) return "slack";
+  return "json";
+}
+
+/**
+ * Build the request body for one subscriber
+ * @param {Object} subscriber - webhook_config row
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @param {string} deliveryId - webhook_deliveries.id
+ * @param {string} occurredAt - ISO timestamp
+ * @returns {Object}
+ */
+function formatPayload(subscriber, event, data, deliveryId, occurredAt) {
+  return FORMATTERS[resolveFormat(subscriber)](event, data, occurredAt, deliveryId);
+}
+
+// Export functions
+export { WEBHOOK_FORMATS, resolveFormat, formatPayload };
+
+// File type: Node.js Module (Utility)
+// Path: /api/utils/webhookFormats.js
@@ -0,0 +1,134 @@
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/webhooks/deliveries.js
+// Debug warning: Webhook delivery log for admins (roles with the manage_webhooks permission)
+//   GET  ?status=failed|retrying|delivered|pending&event&webhook_id&limit&offset   list deliveries, newest first
+//   POST { id }                                                                      redeliver one delivery now
+
+import { createClient } from '@supabase/supabase-js';
+import { authenticateRequest } from '../utils/adminAuth.js';
+import { can } from '../utils/permissions.js';
+import { WEBHOOK_EVENTS, redeliver } from '../utils/webhook.js';
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'retrying', 'failed'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Admin client with service role key (bypasses RLS)
+const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    )
+  : null;
+
+// GET: Filtered, paginated delivery log (payloads included so failures can be inspected)
+async function handleList(req, res) {
+  const { status, event, webhook_id: webhookId } = req.query;
+  const fields = {};
+
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    fields.status = `Must be one of: ${DELIVERY_STATUSES.join(', ')}`;
+  }
+
+  if (event && !WEBHOOK_EVENTS.includes(event)) {
+    fields.event = `Must be one of: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+
+  if (Object.keys(fields).length > 0) {
+    return res.status(400).json({ error: 'Invalid query', fields });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  let query = supabaseAdmin
+    .from('webhook_deliveries')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (status) query = query.eq('status', status);
+  if (event) query = query.eq('event', event);
+  if (webhookId) query = query.eq('webhook_id', webhookId);
+
+  const { data: deliveries, error, count } = await query;
+
+  if (error) {
+    console.error('[Backend] WEBHOOKS Supabase error:', error);
+    return res.status(500).json({ error: 'Failed to fetch deliveries', details: error.message });
+  }
+
+  return res.status(200).json({ deliveries: deliveries || [], total: count ?? 0, limit, offset });
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Username, X-Admin-Password, X-Admin-OTP');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, POST, OPTIONS');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!supabaseAdmin) {
+    console.error('[Backend] SUPABASE_SERVICE_ROLE_KEY not configured');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    // Verify bearer token or admin credentials and get role
+    const { admin, reason } = await authenticateRequest(req);
+
+    if (reason === 'missing_credentials') {
+      return res.status(401).json({ error: 'Missing credentials' });
+    }
+
+    if (!admin) {
+      console.log('[Backend] WEBHOOKS Auth failed');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (!can(admin.role, 'manage_webhooks')) {
+      console.log('[Backend] WEBHOOKS Role not allowed - blocked:', admin.role);
+      return res.status(403).json({ error: 'Insufficient permissions to view webhook deliveries.' });
+    }
+
+    if (req.method === 'GET') {
+      return await handleList(req, res);
+    }
+
+    const deliveryId = req.body?.id;
+    if (!deliveryId || typeof deliveryId !== 'string') {
+      return res.status(400).json({ error: 'Delivery ID is required' });
+    }
+
+    const { delivery, error } = await redeliver(deliveryId);
+    if (error) {
+      console.error('[Backend] WEBHOOKS Redeliver error:', error);
+      return res.status(500).json({ error: 'Failed to redeliver', details: error.message });
+    }
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    console.log('[Backend] WEBHOOKS Redelivered', deliveryId, 'by', admin.username, '->', delivery.status);
+    return res.status(200).json(delivery);
+  } catch (err) {
+    console.error('[Backend] WEBHOOKS Unexpected error:', err);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
+  }
+}
+
+// File type: Vercel Serverless Function (Node.js API route)
+// Path: /api/webhooks/deliveries.js
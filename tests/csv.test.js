@@ -0,0 +1,36 @@
+// Unit tests for api/utils/csv.js (run with npm test)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCsv, parseCsv } from "../api/utils/csv.js";
+
+test("rows survive a CSV round trip, including quotes, commas and line breaks", () => {
+  const rows = [
+    { name: "Dog", rarity: "Common", how_to_get: 'Egg "A", starter\r\nzone' },
+    { name: "Cat", rarity: "Rare", how_to_get: "Shop" }
+  ];
+  const csv = toCsv(rows, ["name", "rarity", "how_to_get"]);
+
+  assert.ok(csv.startsWith("name,rarity,how_to_get\r\n"));
+  assert.deepEqual(parseCsv(csv), rows);
+});
+
+test("empty fields and missing trailing columns become null", () => {
+  assert.deepEqual(parseCsv("name,stats,image_url\nDog,,\nCat\n"), [
+    { name: "Dog", stats: null, image_url: null },
+    { name: "Cat", stats: null, image_url: null }
+  ]);
+});
+
+test("null and undefined are written as empty fields", () => {
+  assert.equal(toCsv([{ name: "Dog", stats: null }], ["name", "stats", "image_url"]), "name,stats,image_url\r\nDog,,\r\n");
+});
+
+test("a byte order mark, blank lines and header padding are ignored", () => {
+  assert.deepEqual(parseCsv("\uFEFF name , rarity\r\n\r\nDog,Common"), [{ name: "Dog", rarity: "Common" }]);
+  assert.deepEqual(parseCsv(""), []);
+});
+
+test("an unterminated quoted field throws", () => {
+  assert.throws(() => parseCsv('name\n"Dog'), /Unterminated quoted field/);
+});
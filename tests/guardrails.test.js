@@ -0,0 +1,54 @@
+// Unit tests for api/utils/guardrails.js findValueSwings (run with npm test)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findValueSwings, needsLastValues } from "../api/utils/guardrails.js";
+
+test("swings past the role's limit are reported with the percentage", () => {
+  const [violation] = findValueSwings("miniadmin", { value_normal: "1K" }, { value_normal: "10K" });
+
+  assert.equal(violation.rule, "max_change_percent");
+  assert.equal(violation.field, "value_normal");
+  assert.equal(violation.percent, 900);
+  assert.equal(violation.limit, 500);
+  assert.match(violation.message, /900%/);
+});
+
+test("changes within the limit, and roles without a limit, pass", () => {
+  assert.deepEqual(findValueSwings("miniadmin", { value_normal: "1,000" }, { value_normal: "5K" }), []);
+  assert.deepEqual(findValueSwings("miniadmin", { value_normal: "1.5M" }, { value_normal: "0" }), []);
+  assert.deepEqual(findValueSwings("admin", { value_normal: "1K" }, { value_normal: "1T" }), []);
+});
+
+test("a pet that never had a value can be priced freely", () => {
+  assert.deepEqual(findValueSwings("miniadmin", { value_normal: "0" }, { value_normal: "5M" }), []);
+  assert.deepEqual(findValueSwings("miniadmin", { value_golden: null }, { value_golden: "5M" }), []);
+});
+
+test("zeroing a value and raising it again is still compared with the last value", () => {
+  const pet = { value_normal: "500" };
+
+  // Step 1: 500 -> 0 is within the limit
+  assert.deepEqual(findValueSwings("miniadmin", pet, { value_normal: "0" }), []);
+
+  // Step 2: 0 -> 5M, with 500 as the last non-zero value from audit_log
+  const zeroed = { value_normal: "0" };
+  assert.ok(needsLastValues("miniadmin", zeroed, { value_normal: "5M" }));
+  const [violation] = findValueSwings("miniadmin", zeroed, { value_normal: "5M" }, { value_normal: "500" });
+
+  assert.equal(violation.from, "500");
+  assert.equal(violation.last_value, true);
+  assert.equal(violation.percent, 999900);
+  assert.match(violation.message, /last value/);
+});
+
+test("an emptied value is compared with the last value too", () => {
+  const [violation] = findValueSwings("miniadmin", { value_void: "" }, { value_void: "5M" }, { value_void: "1,500" });
+  assert.equal(violation.field, "value_void");
+});
+
+test("last values are only needed for capped roles moving away from 0 or empty", () => {
+  assert.equal(needsLastValues("admin", { value_normal: "0" }, { value_normal: "5M" }), false);
+  assert.equal(needsLastValues("miniadmin", { value_normal: "1K" }, { value_normal: "5M" }), false);
+  assert.equal(needsLastValues("miniadmin", { value_normal: "" }, { value_normal: "0" }), false);
+});
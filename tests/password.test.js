@@ -0,0 +1,47 @@
+// Unit tests for api/utils/password.js (run with npm test)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  hashPassword,
+  verifyPassword,
+  isPasswordHash,
+  validateNewPassword,
+  generateTemporaryPassword
+} from "../api/utils/password.js";
+
+test("hashPassword produces a salted scrypt hash that verifies", async () => {
+  const first = await hashPassword("correct horse battery");
+  const second = await hashPassword("correct horse battery");
+
+  assert.ok(isPasswordHash(first));
+  assert.equal(first.split("$").length, 6);
+  assert.notEqual(first, second);
+  assert.deepEqual(await verifyPassword("correct horse battery", first), { valid: true, needsRehash: false });
+  assert.deepEqual(await verifyPassword("wrong password", first), { valid: false, needsRehash: false });
+});
+
+test("legacy plaintext rows verify and ask for a rehash", async () => {
+  assert.equal(isPasswordHash("hunter2"), false);
+  assert.deepEqual(await verifyPassword("hunter2", "hunter2"), { valid: true, needsRehash: true });
+  assert.deepEqual(await verifyPassword("hunter3", "hunter2"), { valid: false, needsRehash: false });
+});
+
+test("verifyPassword rejects missing or malformed input", async () => {
+  assert.equal((await verifyPassword(undefined, "x")).valid, false);
+  assert.equal((await verifyPassword("x", "")).valid, false);
+  assert.equal((await verifyPassword("x", "scrypt$broken")).valid, false);
+});
+
+test("validateNewPassword enforces the length policy", () => {
+  assert.equal(validateNewPassword(undefined), "Password is required");
+  assert.match(validateNewPassword("short"), /at least/);
+  assert.match(validateNewPassword("x".repeat(201)), /at most/);
+  assert.equal(validateNewPassword("long enough password"), null);
+});
+
+test("generateTemporaryPassword passes the policy and is random", () => {
+  const password = generateTemporaryPassword();
+  assert.equal(validateNewPassword(password), null);
+  assert.notEqual(password, generateTemporaryPassword());
+});
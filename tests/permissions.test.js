@@ -0,0 +1,69 @@
+// Unit tests for api/utils/permissions.js (run with npm test)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  can,
+  getWritableFields,
+  isKnownRole,
+  notifiesEdits,
+  requiresApproval,
+  requiresTwoFactor,
+  findRefusedFields,
+  refusedFieldsError
+} from "../api/utils/permissions.js";
+import { PET_FIELDS, VALUE_FIELDS } from "../api/utils/petSchema.js";
+
+test("the default matrix gives each role its actions", () => {
+  assert.ok(can("admin", "manage_admins"));
+  assert.ok(can("miniadmin", "edit"));
+  assert.equal(can("miniadmin", "create"), false);
+  assert.equal(can("viewer", "edit"), false);
+  assert.equal(can("nobody", "edit"), false);
+});
+
+test("rows without a role are full admins", () => {
+  assert.ok(can(null, "delete"));
+  assert.deepEqual(getWritableFields(undefined), PET_FIELDS);
+});
+
+test("writable fields follow table order and the role's field list", () => {
+  assert.deepEqual(getWritableFields("miniadmin"), VALUE_FIELDS);
+  assert.deepEqual(getWritableFields("editor"), ["image_url", "how_to_get"]);
+  assert.deepEqual(getWritableFields("viewer"), []);
+});
+
+test("role flags default to off except where the matrix sets them", () => {
+  assert.ok(isKnownRole("editor"));
+  assert.equal(isKnownRole("superuser"), false);
+  assert.equal(isKnownRole("toString"), false);
+  assert.ok(notifiesEdits("miniadmin"));
+  assert.equal(notifiesEdits("admin"), false);
+  assert.equal(requiresApproval("miniadmin"), false);
+  assert.equal(requiresTwoFactor("admin"), false);
+});
+
+test("unchanged read-only fields are not refused", () => {
+  const pet = { name: "Dog", rarity: "Legendary", value_normal: "1500000", image_url: null };
+  const body = { name: "Dog", rarity: "legendary", value_normal: "1.5M", image_url: null };
+
+  assert.deepEqual(findRefusedFields("editor", body, pet), []);
+  assert.deepEqual(findRefusedFields("miniadmin", { ...body, value_normal: "2M" }, pet), []);
+});
+
+test("changed read-only fields are refused by name", () => {
+  const pet = { name: "Dog", rarity: "Legendary", value_normal: "1.5M" };
+  const refused = findRefusedFields("miniadmin", { name: "Cat", rarity: "Legendary", value_normal: "3M" }, pet);
+
+  assert.deepEqual(refused, ["name"]);
+  assert.equal(refusedFieldsError(refused).field, "name");
+  assert.deepEqual(findRefusedFields("editor", { value_normal: "1.5M" }, null), ["value_normal"]);
+});
+
+test("prototype keys are unknown roles with no permissions", () => {
+  for (const role of ["toString", "constructor", "__proto__", "hasOwnProperty"]) {
+    assert.equal(can(role, "edit"), false, role);
+    assert.deepEqual(getWritableFields(role), [], role);
+    assert.equal(requiresTwoFactor(role), false, role);
+  }
+});
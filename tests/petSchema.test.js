@@ -0,0 +1,61 @@
+// Unit tests for api/utils/petSchema.js (run with npm test)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validatePetPayload, withValueNumbers, PET_DEFAULTS } from "../api/utils/petSchema.js";
+
+test("full payloads fill in defaults and canonicalise values", () => {
+  const { value, errors } = validatePetPayload({ name: " Dog ", rarity: "legendary", value_normal: "1500000" });
+
+  assert.equal(errors, null);
+  assert.equal(value.name, "Dog");
+  assert.equal(value.rarity, "Legendary");
+  assert.equal(value.value_normal, "1.5M");
+  assert.equal(value.value_golden, PET_DEFAULTS.value_golden);
+  assert.equal(value.stats_type, PET_DEFAULTS.stats_type);
+});
+
+test("full payloads require name and rarity", () => {
+  const { errors } = validatePetPayload({ name: "", value_normal: "5" });
+  assert.equal(errors.name, "Required");
+  assert.equal(errors.rarity, "Required");
+});
+
+test("partial payloads leave out blank fields instead of filling in defaults", () => {
+  const { value, errors } = validatePetPayload(
+    { name: "Dog", rarity: null, stats: "", value_normal: "2k", value_golden: null, image_url: "" },
+    { partial: true }
+  );
+
+  assert.equal(errors, null);
+  assert.deepEqual(value, { name: "Dog", value_normal: "2K" });
+});
+
+test("invalid fields are reported by name", () => {
+  const { errors } = validatePetPayload({ name: "Dog", rarity: "Common", value_void: "lots" }, { partial: true });
+  assert.ok(errors.value_void);
+});
+
+test("numeric columns follow the value fields being written", () => {
+  assert.deepEqual(withValueNumbers({ name: "Dog", value_normal: "1.5M", value_void: "old" }), {
+    name: "Dog",
+    value_normal: "1.5M",
+    value_normal_num: 1500000,
+    value_void: "old",
+    value_void_num: null
+  });
+});
+
+test("rarity and stats type outside the lists are only accepted when already stored", () => {
+  const stored = { name: "Dog", rarity: "Event", stats_type: "damage" };
+  const body = { name: "Dog", rarity: "event", stats_type: "damage" };
+
+  const unchanged = validatePetPayload(body, { current: stored });
+  assert.equal(unchanged.errors, null);
+  assert.equal(unchanged.value.rarity, "Event");
+  assert.equal(unchanged.value.stats_type, "damage");
+
+  assert.ok(validatePetPayload(body).errors.rarity);
+  assert.ok(validatePetPayload({ ...body, rarity: "Festival" }, { current: stored }).errors.rarity);
+  assert.equal(validatePetPayload({ ...body, rarity: "rare" }, { current: stored }).value.rarity, "Rare");
+});
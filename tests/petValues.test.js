@@ -0,0 +1,37 @@
+// Unit tests for api/utils/petValues.js (run with npm test)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MAX_PET_VALUE, parsePetValue, formatPetValue } from "../api/utils/petValues.js";
+
+test("every typed form of a value parses to the same number", () => {
+  for (const text of ["1500000", "1,500,000", "1500k", "1,500K", "1.5M", " 1.5 m ", "0.0015B"]) {
+    assert.equal(parsePetValue(text), 1500000, text);
+  }
+  assert.equal(parsePetValue("1.1M"), 1100000);
+  assert.equal(parsePetValue("0"), 0);
+  assert.equal(parsePetValue(250), 250);
+});
+
+test("anything that is not a non-negative value up to 1000T is refused", () => {
+  for (const value of ["", "abc", "1,50", "1,5000", "-5", "1e6", "1.5X", "1001T", "1.5MM", null, undefined, -1, NaN, Infinity]) {
+    assert.equal(parsePetValue(value), null, String(value));
+  }
+  assert.equal(parsePetValue("1000T"), MAX_PET_VALUE);
+});
+
+test("values format to one canonical display form", () => {
+  assert.equal(formatPetValue(1500000), "1.5M");
+  assert.equal(formatPetValue(2000), "2K");
+  assert.equal(formatPetValue(999999), "999.999K");
+  assert.equal(formatPetValue(1234567), "1,234,567");
+  assert.equal(formatPetValue(1999.5), "1,999.5");
+  assert.equal(formatPetValue(250), "250");
+  assert.equal(formatPetValue(0), "0");
+});
+
+test("formatted values parse back to the same number", () => {
+  for (const number of [0, 7, 999, 1000, 1001, 12345, 999999, 1e6, 1234567, 2.5e9, 3e12, MAX_PET_VALUE]) {
+    assert.equal(parsePetValue(formatPetValue(number)), number, String(number));
+  }
+});
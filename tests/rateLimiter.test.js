@@ -0,0 +1,56 @@
+// Unit tests for api/utils/rateLimiter.js (run with npm test)
+
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { checkRateLimit, createMemoryStore, getClientIP, formatWaitTime } from "../api/utils/rateLimiter.js";
+
+const MINUTE_MS = 60 * 1000;
+
+// Run checks at fixed clock times (ms offsets from a base)
+async function runAt(offsets, windowMs, maxAttempts, options) {
+  const base = 1_700_000_000_000;
+  const results = [];
+  for (const offset of offsets) {
+    mock.method(Date, "now", () => base + offset);
+    results.push((await checkRateLimit("key", windowMs, maxAttempts, options)).allowed);
+    mock.restoreAll();
+  }
+  return results;
+}
+
+test("defaults to the fixed window when RATE_LIMIT_ALGORITHM is unset", async () => {
+  // Fixed: the window that opened at 0 resets at 60s, so 59s is refused and 61s is allowed
+  const results = await runAt([0, 1000, 59000, 61000], MINUTE_MS, 2, { store: createMemoryStore() });
+  assert.deepEqual(results, [true, true, false, true]);
+});
+
+test("sliding window only frees a slot once the oldest hit leaves the window", async () => {
+  const results = await runAt([0, 30000, 61000, 62000, 91000], MINUTE_MS, 2, { algorithm: "sliding", store: createMemoryStore() });
+  assert.deepEqual(results, [true, true, true, false, true]);
+});
+
+test("token bucket refills evenly over the window", async () => {
+  const results = await runAt([0, 0, 0, 10000, 30000], MINUTE_MS, 2, { algorithm: "token_bucket", store: createMemoryStore() });
+  assert.deepEqual(results, [true, true, false, false, true]);
+});
+
+test("results carry the limit and attempts left", async () => {
+  const result = await checkRateLimit("other", MINUTE_MS, 3, { store: createMemoryStore() });
+  assert.equal(result.limit, 3);
+  assert.equal(result.attemptsLeft, 2);
+  assert.ok(result.resetTime > Date.now());
+});
+
+test("getClientIP prefers the first forwarded address", () => {
+  assert.equal(getClientIP({ headers: { "x-forwarded-for": "1.2.3.4, 10.0.0.1" } }), "1.2.3.4");
+  assert.equal(getClientIP({ headers: { "x-real-ip": "5.6.7.8" } }), "5.6.7.8");
+  assert.equal(getClientIP({ headers: {} }), "unknown");
+});
+
+test("formatWaitTime rounds up to seconds or minutes", () => {
+  mock.method(Date, "now", () => 0);
+  assert.equal(formatWaitTime(1000), "1 second");
+  assert.equal(formatWaitTime(45000), "45 seconds");
+  assert.equal(formatWaitTime(90000), "2 minutes");
+  mock.restoreAll();
+});
@@ -0,0 +1,43 @@
+// Unit tests for api/utils/tokens.js (run with npm test)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { signToken, verifyToken, tokensEnabled, getBearerToken } from "../api/utils/tokens.js";
+
+process.env.ADMIN_TOKEN_SECRET = "test-secret";
+
+test("signed tokens verify with their claims and type", () => {
+  const { token, expiresAt } = signToken({ typ: "access", sub: 1, usr: "alice" }, 60);
+  const claims = verifyToken(token, "access");
+
+  assert.ok(tokensEnabled());
+  assert.equal(claims.sub, 1);
+  assert.equal(claims.usr, "alice");
+  assert.ok(expiresAt > Date.now());
+});
+
+test("tokens of another type are refused", () => {
+  const { token } = signToken({ typ: "refresh", sub: 1 }, 60);
+  assert.equal(verifyToken(token, "access"), null);
+  assert.ok(verifyToken(token, "refresh"));
+});
+
+test("tampered, expired and foreign tokens are refused", () => {
+  const { token } = signToken({ typ: "access", sub: 1, role: "miniadmin" }, 60);
+  const [payload, signature] = token.split(".");
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, "base64url")), role: "admin" })).toString("base64url");
+
+  assert.equal(verifyToken(`${forged}.${signature}`, "access"), null);
+  assert.equal(verifyToken(signToken({ typ: "access" }, -1).token, "access"), null);
+  assert.equal(verifyToken("not-a-token", "access"), null);
+
+  process.env.ADMIN_TOKEN_SECRET = "other-secret";
+  assert.equal(verifyToken(token, "access"), null);
+  process.env.ADMIN_TOKEN_SECRET = "test-secret";
+});
+
+test("getBearerToken reads the Authorization header", () => {
+  assert.equal(getBearerToken({ headers: { authorization: "Bearer abc.def" } }), "abc.def");
+  assert.equal(getBearerToken({ headers: { authorization: "Basic abc" } }), null);
+  assert.equal(getBearerToken({ headers: {} }), null);
+});
@@ -0,0 +1,51 @@
+// Unit tests for api/utils/totp.js (run with npm test)
+
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { generateTotpSecret, totpCode, verifyTotp, buildOtpauthUri, hashRecoveryCode, generateRecoveryCodes } from "../api/utils/totp.js";
+
+// RFC 6238 appendix B SHA1 seed "12345678901234567890" in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+test("codes match the RFC 6238 test vectors (last six digits)", () => {
+  assert.equal(totpCode(RFC_SECRET, 1), "287082");
+  assert.equal(totpCode(RFC_SECRET, 37037036), "081804");
+  assert.equal(totpCode(RFC_SECRET, 41152263), "005924");
+});
+
+test("codes from the neighbouring steps are accepted, replays are not", (t) => {
+  t.after(() => mock.restoreAll());
+  mock.method(Date, "now", () => 1111111109 * 1000);
+
+  assert.equal(verifyTotp(RFC_SECRET, "081804"), 37037036);
+  assert.equal(verifyTotp(RFC_SECRET, " 081 804 "), 37037036);
+  assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, 37037037)), 37037037);
+  assert.equal(verifyTotp(RFC_SECRET, "081804", 37037036), null);
+  assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, 37037039)), null);
+  assert.equal(verifyTotp(RFC_SECRET, "abc"), null);
+});
+
+test("generated secrets are base32 and produce codes", () => {
+  const secret = generateTotpSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.match(totpCode(secret, 1), /^\d{6}$/);
+});
+
+test("the otpauth URI carries the secret, issuer and parameters", () => {
+  const uri = new URL(buildOtpauthUri("alice", RFC_SECRET));
+
+  assert.equal(uri.protocol, "otpauth:");
+  assert.equal(uri.searchParams.get("secret"), RFC_SECRET);
+  assert.equal(uri.searchParams.get("digits"), "6");
+  assert.equal(uri.searchParams.get("period"), "30");
+  assert.match(decodeURIComponent(uri.pathname), /:alice$/);
+});
+
+test("recovery codes hash the same however they are typed", () => {
+  const { codes, hashes } = generateRecoveryCodes();
+
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, 10);
+  assert.equal(hashRecoveryCode(codes[0].toUpperCase().replace(/-/g, " ")), hashes[0]);
+  assert.notEqual(hashRecoveryCode(codes[1]), hashes[0]);
+});